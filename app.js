@@ -19,62 +19,312 @@
 
     // Configuration
     const CONFIG = {
-        API_URL: 'https://api.sr.se/api/v2/podfiles?programid=4540&format=json&size=20',
+        API_BASE: 'https://api.sr.se/api/v2',
+        PODFILES_PAGE_SIZE: 20,
         TIMEZONE: 'Europe/Stockholm',
-        SLOTS: [
-            { time: '08:00', pollStart: { hour: 8, minute: 20 } },
-            { time: '12:30', pollStart: { hour: 13, minute: 0 } },
-            { time: '16:45', pollStart: { hour: 17, minute: 5 } },
-            { time: '17:45', pollStart: { hour: 18, minute: 10 } }
-        ],
+        PROFILES_KEY: 'ekot-profiles',
+        DEFAULT_PROFILES: ['ekot'],
         POLL_INTERVALS: {
             ACTIVE: 60000,
             EXTENDED: 300000,
             IDLE: 1800000
         },
+        // Backoff while the API is unreachable
+        RETRY_MIN_DELAY: 15000,
+        RETRY_MAX_DELAY: 300000,
         ACTIVE_WINDOW: 10,
         EXTENDED_WINDOW: 30,
-        AUDIO_FOCUS_TIMEOUT: 15 * 60 * 1000,
-        LIVE_STREAM_URLS: [
-            'https://ljud1-cdn.sr.se/lc/p1.m3u8',
-            'https://live1.sr.se/p1-aac-128',
-            'https://live1.sr.se/p1-mp3-96'
+        // P1 live streams. HLS is adaptive: its bitrate depends on the variant picked
+        LIVE_STREAMS: [
+            { url: 'https://ljud1-cdn.sr.se/lc/p1.m3u8', label: 'HLS', kbps: null },
+            { url: 'https://live1.sr.se/p1-aac-128', label: 'AAC', kbps: 128 },
+            { url: 'https://live1.sr.se/p1-mp3-96', label: 'MP3', kbps: 96 }
         ],
-        LIVE_WINDOW_MINUTES: 30,
-        LIVE_STALL_TIMEOUT: 10000
+        LIVE_QUALITY_KEY: 'ekot-live-quality',
+        LIVE_QUALITY_OPTIONS: ['auto', 'high', 'low'],
+        DEFAULT_POLL_OFFSET: 20,
+        SCHEDULE_LEARN_DAYS: 7,
+        SCHEDULE_MIN_DAYS: 2,
+        // Learned slots further than this (minutes) from a scheduled one are ignored
+        SCHEDULE_LEARN_TOLERANCE: 30,
+        LIVE_EDGE_THRESHOLD: 5,
+        PLAYBACK_RATE_KEY: 'ekot-playback-rate',
+        PLAYBACK_RATE_CYCLE: [1, 1.25, 1.5, 1.75, 2],
+        PLAYBACK_RATE_OPTIONS: [0.75, 1, 1.25, 1.5, 1.75, 2],
+        LONG_PRESS_MS: 500,
+        SLEEP_OPTIONS: [15, 30, 45],
+        SLEEP_FADE_MS: 10000,
+        FADE_STEP_MS: 200,
+        HISTORY_DB: 'ekot-history',
+        HISTORY_STORE: 'sessions',
+        HISTORY_SAVE_INTERVAL: 30000,
+        HISTORY_DAYS_SHOWN: 7,
+        HISTORY_RETENTION_DAYS: 365,
+        TAB_CHANNEL: 'ekot-tabs',
+        POLL_LEADER_LOCK: 'ekot-poll-leader',
+        // Previous track within this many seconds of a story's start goes to the one before
+        CHAPTER_RESTART_SECONDS: 3,
+        // Archive pages to search when opening a link to an older day
+        LINK_ARCHIVE_PAGES: 5,
+        ALARM_KEY: 'ekot-alarm',
+        ALARM_DEFAULT: { enabled: false, time: '07:00', days: [1, 2, 3, 4, 5] },
+        ALARM_CHECK_INTERVAL: 15000,
+        // Still fire if a throttled check comes late
+        ALARM_GRACE_MINUTES: 5,
+        ALARM_RAMP_MS: 60000,
+        VOLUME_KEY: 'ekot-volume',
+        NORMALISE_KEY: 'ekot-normalise',
+        // Compressor evening out podcast, AAC and MP3 levels, with makeup gain
+        NORMALISER: {
+            threshold: -24,
+            knee: 12,
+            ratio: 4,
+            attack: 0.003,
+            release: 0.25,
+            makeupGain: 1.6
+        },
+        LIVE_STALL_TIMEOUT: 10000,
+        DIAGNOSTICS_HISTORY: 50,
+        SETTINGS_KEY: 'ekot-settings',
+        // User-adjustable settings: defaults and allowed values
+        SETTINGS: {
+            skipSeconds: { default: 15, min: 5, max: 120 },
+            audioFocusMinutes: { default: 15, min: 1, max: 120 },
+            liveWindowMinutes: { default: 30, min: 5, max: 180 },
+            playDefault: { default: 'live', options: ['live', 'latest'] }
+        },
+        POSITIONS_KEY: 'ekot-positions',
+        POSITION_SAVE_INTERVAL: 5000,
+        POSITION_MIN_RESUME: 5,
+        LISTENED_THRESHOLD: 30,
+        POSITION_RETENTION_DAYS: 60,
+        AUDIO_CACHE: 'ekot-audio',
+        DOWNLOAD_RETENTION_KEY: 'ekot-download-retention',
+        DOWNLOAD_RETENTION_DAYS: 7,
+        DOWNLOAD_RETENTION_OPTIONS: [1, 3, 7, 14, 30],
+        NOTIFY_KEY: 'ekot-notify',
+        // Shared with sw.js, which can't read localStorage
+        STATE_CACHE: 'ekot-state',
+        NOTIFY_STATE_URL: './notify-state.json',
+        NOTIFY_SYNC_TAG: 'ekot-new-broadcasts',
+        NOTIFY_SYNC_INTERVAL: 15 * 60 * 1000,
+        RESTORE_KEY: 'ekot-restore',
+        UPDATE_CHECK_INTERVAL: 30 * 60 * 1000,
+        // How long playback must stay stopped before an update may reload
+        UPDATE_IDLE_GRACE: 30 * 1000
+    };
+
+    // Program profiles — one per SR news program.
+    // slots: broadcast times on P1; pollOffset is how many minutes after
+    // the slot starts the podcast usually appears. The actual day's slots
+    // are learned from the API where possible — see getScheduledSlots.
+    // schedule: optional { weekday, weekend } tables overriding slots.
+    // titlePattern: podfile titles must match to count (null = all).
+    // defaultSlot: slot for podfiles whose title carries no time.
+    // artwork: null means the program image is fetched from the API.
+    const PROFILES = {
+        ekot: {
+            id: 'ekot',
+            name: 'Ekot',
+            programId: 4540,
+            slots: [
+                { time: '08:00', pollOffset: 20 },
+                { time: '12:30', pollOffset: 30 },
+                { time: '16:45', pollOffset: 20 },
+                { time: '17:45', pollOffset: 25 }
+            ],
+            titlePattern: null,
+            defaultSlot: null,
+            liveWindowMinutes: null,
+            artwork: {
+                tile: 'assets/icon-tile-384x384.png',
+                session: [
+                    { src: 'assets/icon-96x96.png', sizes: '96x96', type: 'image/png' },
+                    { src: 'assets/icon-192x192.png', sizes: '192x192', type: 'image/png' },
+                    { src: 'assets/icon-512x512.png', sizes: '512x512', type: 'image/png' }
+                ]
+            }
+        },
+        ekonomiekot: {
+            id: 'ekonomiekot',
+            name: 'Ekonomiekot',
+            programId: 178,
+            slots: [
+                { time: '07:50', pollOffset: 20 },
+                { time: '15:55', pollOffset: 20 }
+            ],
+            schedule: { weekend: [] },
+            titlePattern: /ekonomiekot/i,
+            defaultSlot: null,
+            liveWindowMinutes: 10,
+            artwork: null
+        },
+        studioett: {
+            id: 'studioett',
+            name: 'Studio Ett',
+            programId: 1637,
+            slots: [
+                { time: '16:03', pollOffset: 120 }
+            ],
+            schedule: { weekend: [] },
+            // Studio Ett podfiles are titled by topic rather than time
+            titlePattern: null,
+            defaultSlot: '16:03',
+            liveWindowMinutes: 115,
+            artwork: null
+        }
     };
 
+    // Downloads need Cache Storage and a service worker to serve them offline
+    const downloadsSupported = 'caches' in window && 'serviceWorker' in navigator;
+    const notificationsSupported = 'Notification' in window && downloadsSupported;
+
     // State
     const state = {
-        broadcasts: {},
+        profiles: {},
+        pinnedProfiles: [],
+        currentProfile: null,
         currentSlot: null,
         lastFetchDate: null,
-        pollTimer: null,
         audioFocusTimer: null,
         isPaused: false,
         isLive: false,
         liveStreamIndex: 0,
+        liveStreams: [],
+        liveStreamInfo: null,
+        liveQuality: 'auto',
+        settings: {},
         liveStallTimer: null,
-        userPausedLive: false
+        liveAnchor: null,
+        hlsPlayer: null,
+        pendingFromStart: false,
+        // loadedmetadata listener seeking a new broadcast to its start point
+        pendingResume: null,
+        diagnostics: { failovers: [], apiFetches: {}, pollIntervals: {} },
+        userPausedLive: false,
+        currentDate: null,
+        archiveLoading: false,
+        positions: {},
+        lastPositionSave: 0,
+        downloaded: {},
+        downloadProgress: {},
+        downloadRetentionDays: CONFIG.DOWNLOAD_RETENTION_DAYS,
+        playbackRate: 1,
+        sleepTimer: null,
+        fadeTimer: null,
+        fadeLevel: 1,
+        volume: 1,
+        normalise: false,
+        audioGraph: null,
+        // Set once an audio host refused CORS; the normaliser stays off
+        corsBlocked: false,
+        liveEndTimer: null,
+        queue: null,
+        notifySlots: {},
+        alarm: null,
+        // When a hidden tab first found the alarm due
+        alarmDueAt: null,
+        wakeLock: null,
+        tabChannel: null,
+        isPollLeader: true,
+        remotePlayback: null,
+        historyDb: null,
+        historySession: null,
+        detailBroadcast: null,
+        chapters: [],
+        // Broadcast key -> promise of its chapters
+        chapterCache: {},
+        lastHistorySave: 0,
+        swRegistration: null,
+        updateReady: false,
+        reloadRequested: false,
+        updateIdleTimer: null
     };
 
     // DOM Elements
     const elements = {
+        appTitle: null,
         tilesContainer: null,
         audioPlayer: null,
         playPause: null,
         playPauseIcon: null,
         skipBack: null,
         skipForward: null,
+        speedButton: null,
+        speedMenu: null,
+        volumeButton: null,
+        volumeMenu: null,
+        volumeRow: null,
+        volumeSlider: null,
+        normaliseToggle: null,
+        sleepButton: null,
+        sleepMenu: null,
         currentTime: null,
         duration: null,
         progressBar: null,
         progressFill: null,
+        chapterMarkers: null,
+        chaptersButton: null,
+        chaptersSheet: null,
+        chapterList: null,
         nowPlaying: null,
+        queuePosition: null,
+        catchUpButton: null,
+        catchUpMenu: null,
+        fromStartButton: null,
+        shareButton: null,
+        streamInfo: null,
         statusMessage: null,
         dateDisplay: null,
+        offlineIndicator: null,
+        alarmIndicator: null,
+        alarmSheet: null,
+        alarmEnabled: null,
+        alarmTime: null,
+        alarmDays: null,
+        alarmStatus: null,
         silencePlayer: null,
-        playerContainer: null
+        playerContainer: null,
+        archiveButton: null,
+        archiveSheet: null,
+        archiveList: null,
+        archiveMore: null,
+        menuButton: null,
+        storageSheet: null,
+        storageUsage: null,
+        storageFill: null,
+        storageList: null,
+        storageRetention: null,
+        storageClear: null,
+        profilesSheet: null,
+        profilesList: null,
+        notificationsSheet: null,
+        notificationsHint: null,
+        notificationsList: null,
+        updateBanner: null,
+        liveQualitySheet: null,
+        liveQuality: null,
+        liveQualityStatus: null,
+        diagnosticsSheet: null,
+        diagnosticsReport: null,
+        diagnosticsCopy: null,
+        diagnosticsRefresh: null,
+        settingsSheet: null,
+        broadcastSheet: null,
+        broadcastImage: null,
+        broadcastTitle: null,
+        broadcastMeta: null,
+        broadcastDescription: null,
+        broadcastPlay: null,
+        historySheet: null,
+        historySummary: null,
+        historyList: null,
+        historyExportJson: null,
+        historyExportCsv: null,
+        historyClear: null,
+        settingsForm: null,
+        settingsError: null,
+        settingsReset: null
     };
 
     // --- Utility functions ---
@@ -83,8 +333,8 @@
         return new Date().toLocaleDateString('sv-SE', { timeZone: CONFIG.TIMEZONE });
     }
 
-    function getStockholmHourMinute() {
-        const timeStr = new Date().toLocaleTimeString('sv-SE', {
+    function getStockholmHourMinute(date = new Date()) {
+        const timeStr = date.toLocaleTimeString('sv-SE', {
             timeZone: CONFIG.TIMEZONE,
             hour: '2-digit',
             minute: '2-digit',
@@ -94,13 +344,51 @@
         return { hour, minute };
     }
 
+    function padTime(hour, minute) {
+        return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+    }
+
+    /**
+     * Find a broadcast time ("12:30", "12.30", "kl 8.00") in a title,
+     * normalised to "HH:MM". A one-digit hour needs "kl", so a number
+     * like "3.25" or "1.5 miljoner" in a topic title isn't read as a time.
+     */
     function extractSlotFromTitle(title) {
-        for (const slot of CONFIG.SLOTS) {
-            if (title.includes(slot.time)) {
-                return slot.time;
-            }
+        const match = title.match(/(?:\bkl(?:ockan)?\.?\s*([01]?\d|2[0-3])|(?:^|[^\d.:,])([01]\d|2[0-3]))[:.]([0-5]\d)(?![\d.:,])/i);
+        return match ? padTime(Number(match[1] || match[2]), match[3]) : null;
+    }
+
+    /**
+     * Format a Stockholm date string (YYYY-MM-DD) as e.g. "tisdag 18 oktober"
+     */
+    function formatDayLabel(dateStr, short = false) {
+        const date = new Date(`${dateStr}T12:00:00Z`);
+        return date.toLocaleDateString('sv-SE', {
+            weekday: short ? 'short' : 'long',
+            day: 'numeric',
+            month: short ? 'short' : 'long',
+            timeZone: CONFIG.TIMEZONE
+        });
+    }
+
+    function formatBytes(bytes) {
+        const units = ['B', 'kB', 'MB', 'GB'];
+        let value = bytes || 0;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
         }
-        return null;
+        return `${value.toLocaleString('sv-SE', { maximumFractionDigits: unit >= 2 ? 1 : 0 })} ${units[unit]}`;
+    }
+
+    /**
+     * Rounded length for labels: "24 min", "1 h 5 min"
+     */
+    function formatDuration(seconds) {
+        const minutes = Math.round(seconds / 60);
+        if (minutes < 60) return `${minutes} min`;
+        return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
     }
 
     function formatTime(seconds) {
@@ -124,6 +412,42 @@
         return { start: 0, end: dur };
     }
 
+    /**
+     * Call onLongPress after holding the element; the click that ends
+     * a long press is swallowed so the normal action doesn't also run
+     */
+    function addLongPress(element, onLongPress) {
+        let timer = null;
+        let fired = false;
+
+        const cancel = () => {
+            if (timer) {
+                clearTimeout(timer);
+                timer = null;
+            }
+        };
+
+        element.addEventListener('pointerdown', () => {
+            fired = false;
+            cancel();
+            timer = setTimeout(() => {
+                timer = null;
+                fired = true;
+                onLongPress();
+            }, CONFIG.LONG_PRESS_MS);
+        });
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+            element.addEventListener(type, cancel);
+        });
+        element.addEventListener('click', event => {
+            if (!fired) return;
+            fired = false;
+            event.preventDefault();
+            event.stopImmediatePropagation();
+        }, true);
+        element.addEventListener('contextmenu', event => event.preventDefault());
+    }
+
     function showStatus(message, isError = false, duration = 3000) {
         elements.statusMessage.textContent = message;
         elements.statusMessage.classList.toggle('error', isError);
@@ -151,76 +475,260 @@
         return date.toLocaleDateString('sv-SE', { timeZone: CONFIG.TIMEZONE });
     }
 
+    // --- Profiles ---
+
+    function getProfile(profileId) {
+        return PROFILES[profileId];
+    }
+
+    function createProfileState() {
+        return {
+            broadcasts: {},
+            archive: {},
+            archivePage: 0,
+            archiveHasMore: true,
+            pollTimer: null,
+            artwork: null,
+            fetched: false,
+            updatedAt: null,
+            stale: false,
+            retryCount: 0
+        };
+    }
+
+    function getProfileState(profileId) {
+        if (!state.profiles[profileId]) {
+            state.profiles[profileId] = createProfileState();
+        }
+        return state.profiles[profileId];
+    }
+
+    function loadPinnedProfiles() {
+        let pinned;
+        try {
+            pinned = JSON.parse(localStorage.getItem(CONFIG.PROFILES_KEY));
+        } catch (e) {
+            pinned = null;
+        }
+        pinned = Array.isArray(pinned) ? pinned.filter(id => PROFILES[id]) : [];
+        state.pinnedProfiles = pinned.length > 0 ? pinned : CONFIG.DEFAULT_PROFILES.slice();
+        state.pinnedProfiles.forEach(getProfileState);
+    }
+
+    function savePinnedProfiles() {
+        localStorage.setItem(CONFIG.PROFILES_KEY, JSON.stringify(state.pinnedProfiles));
+    }
+
+    /**
+     * Artwork for a profile: configured assets, or the program image
+     * from the API once loaded ({ tile, session } or null)
+     */
+    function getProfileArtwork(profileId) {
+        const profile = getProfile(profileId);
+        if (profile.artwork) return profile.artwork;
+
+        const image = getProfileState(profileId).artwork;
+        if (!image) return null;
+        return { tile: image, session: [{ src: image }] };
+    }
+
+    async function loadProfileArtwork(profileId) {
+        const profile = getProfile(profileId);
+        const profileState = getProfileState(profileId);
+        if (profile.artwork || profileState.artwork) return;
+
+        try {
+            const response = await fetch(`${CONFIG.API_BASE}/programs/${profile.programId}?format=json`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            profileState.artwork = (data.program && data.program.programimage) || null;
+            if (profileState.artwork) renderTiles();
+        } catch (error) {
+            console.log(`Could not load artwork for ${profile.name}:`, error);
+        }
+    }
+
     // --- Data fetching ---
 
     /**
-     * Parse JSON response from SR API into broadcasts object
+     * Parse JSON response from SR API into broadcasts grouped by
+     * Stockholm date: { 'YYYY-MM-DD': { slot: broadcast } }
      */
-    function parseApiResponse(data) {
-        const todayStr = getStockholmDate();
-        const broadcasts = {};
+    function parseApiResponse(profile, data) {
+        const days = {};
 
-        if (!data.podfiles) return broadcasts;
+        if (!data.podfiles) return days;
 
         for (const podfile of data.podfiles) {
             const title = podfile.title || '';
             const publishDate = podfile.publishdateutc || '';
             const audioUrl = podfile.url || '';
+            const id = podfile.id ? String(podfile.id) : null;
+            const duration = Number(podfile.duration);
+            const fileSize = Number(podfile.filesizeinbytes);
+
+            if (profile.titlePattern && !profile.titlePattern.test(title)) continue;
+
+            // Slot from the title; titles without a time fall back to the
+            // profile's default slot, or get their own tile at publish time
+            let slot = extractSlotFromTitle(title) || profile.defaultSlot;
+            const unscheduled = !slot;
+            if (unscheduled) {
+                const { hour, minute } = getStockholmHourMinute(parseSrDate(publishDate));
+                slot = padTime(hour, minute);
+            }
 
-            // Only process items from today
             const itemDate = srDateToStockholmDate(publishDate);
-            if (itemDate !== todayStr) continue;
+            if (!days[itemDate]) days[itemDate] = {};
 
-            // Extract slot from title
-            const slot = extractSlotFromTitle(title);
-            if (!slot) continue;
+            // API returns newest first — keep the first match per slot
+            if (days[itemDate][slot]) continue;
 
-            broadcasts[slot] = {
+            days[itemDate][slot] = {
+                id,
+                profileId: profile.id,
                 title,
                 pubDate: publishDate,
                 timestamp: parseSrDate(publishDate).getTime(),
                 audioUrl,
-                slot
+                slot,
+                unscheduled,
+                description: (podfile.description || '').trim(),
+                // Seconds and bytes, or null when the API leaves them out
+                duration: duration > 0 ? duration : null,
+                fileSize: fileSize > 0 ? fileSize : null,
+                image: (podfile.program && podfile.program.programimage) || podfile.imageurl || null
             };
         }
 
-        return broadcasts;
+        return days;
     }
 
     /**
-     * Fetch broadcasts from SR JSON API
+     * Fetch one page of a profile's podfiles from SR JSON API (page 1 is the newest)
      */
-    async function fetchBroadcasts(forceRefresh = false) {
+    async function fetchPodfiles(profileId, page, forceRefresh = false) {
+        const profile = getProfile(profileId);
+        let url = `${CONFIG.API_BASE}/podfiles?programid=${profile.programId}` +
+            `&format=json&size=${CONFIG.PODFILES_PAGE_SIZE}`;
+        if (page > 1) url += `&page=${page}`;
+        if (forceRefresh) url += `&_=${Date.now()}`;
+
+        let response;
         try {
-            const url = forceRefresh
-                ? `${CONFIG.API_URL}&_=${Date.now()}`
-                : CONFIG.API_URL;
-
-            const response = await fetch(url, {
+            response = await fetch(url, {
                 cache: forceRefresh ? 'no-store' : 'default'
             });
+        } catch (error) {
+            recordApiFetch(profileId, url, error.message);
+            throw error;
+        }
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
+        // Set by sw.js when it answered from its cache because the network failed
+        const fetchedAt = Number(response.headers.get('X-Ekot-Fetched-At')) || null;
+        recordApiFetch(profileId, url, `HTTP ${response.status}`, fetchedAt);
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        return {
+            days: parseApiResponse(profile, data),
+            hasMore: !!(data.pagination && data.pagination.nextpage),
+            fetchedAt
+        };
+    }
+
+    /**
+     * Fetch today's broadcasts; older days in the response go to the archive
+     */
+    async function fetchBroadcasts(profileId, forceRefresh = false) {
+        const profileState = getProfileState(profileId);
+        try {
+            const { days, hasMore, fetchedAt } = await fetchPodfiles(profileId, 1, forceRefresh);
+            const todayStr = getStockholmDate();
+
+            if (profileState.archivePage === 0) {
+                profileState.archivePage = 1;
+                profileState.archiveHasMore = hasMore;
             }
+            mergeArchive(profileId, days, todayStr);
+            setDataFreshness(profileId, !fetchedAt, fetchedAt);
 
-            const data = await response.json();
-            return parseApiResponse(data);
+            return days[todayStr] || {};
         } catch (error) {
             console.error('Failed to fetch broadcasts:', error);
-            showStatus('Kunde inte hämta sändningar', true);
+            setDataFreshness(profileId, false);
+            // The offline indicator covers it when older data is on screen
+            if (!profileState.updatedAt) showStatus('Kunde inte hämta sändningar', true);
             return null;
         }
     }
 
+    /**
+     * Track how old a profile's data is. Cached fallbacks carry their
+     * original fetch time; a failed fetch keeps whatever we had.
+     */
+    function setDataFreshness(profileId, fresh, fetchedAt = null) {
+        const profileState = getProfileState(profileId);
+        profileState.stale = !fresh;
+        if (fresh) {
+            profileState.updatedAt = Date.now();
+            profileState.retryCount = 0;
+        } else if (fetchedAt) {
+            profileState.updatedAt = Math.max(profileState.updatedAt || 0, fetchedAt);
+        }
+        updateOfflineIndicator();
+    }
+
     // --- Broadcast state management ---
 
+    function mergeArchive(profileId, days, todayStr) {
+        const archive = getProfileState(profileId).archive;
+        for (const date of Object.keys(days)) {
+            if (date === todayStr) continue;
+            archive[date] = Object.assign(archive[date] || {}, days[date]);
+        }
+    }
+
+    /**
+     * Look up a profile's broadcast by slot, in today's set or an archived day
+     */
+    function getBroadcast(profileId, slot, date = null) {
+        if (!profileId) return undefined;
+        const profileState = getProfileState(profileId);
+        if (!date) return profileState.broadcasts[slot];
+        return (profileState.archive[date] || {})[slot];
+    }
+
     function resetForNewDay() {
-        state.broadcasts = {};
-        state.currentSlot = null;
+        const previousDate = state.lastFetchDate;
+
+        // Yesterday's broadcasts stay available in the archive
+        for (const profileId of Object.keys(state.profiles)) {
+            const profileState = state.profiles[profileId];
+            if (previousDate && Object.keys(profileState.broadcasts).length > 0) {
+                mergeArchive(profileId, { [previousDate]: profileState.broadcasts }, null);
+            }
+            profileState.broadcasts = {};
+        }
+
         state.lastFetchDate = getStockholmDate();
-        stopPlayback();
+
+        const playingToday = state.currentSlot && !state.currentDate;
+        if (playingToday && !state.isLive) {
+            // Keep playing — the broadcast now belongs to the previous day
+            state.currentDate = previousDate;
+            updateNowPlaying();
+        } else if (playingToday) {
+            stopPlayback();
+        }
+
         renderTiles();
+        if (isSheetOpen(elements.archiveSheet)) renderArchive();
     }
 
     function checkDayChange() {
@@ -232,41 +740,75 @@
         return false;
     }
 
-    async function updateBroadcasts(forceRefresh = false) {
+    async function updateBroadcasts(profileId, forceRefresh = false) {
         checkDayChange();
 
-        const newBroadcasts = await fetchBroadcasts(forceRefresh);
+        const newBroadcasts = await fetchBroadcasts(profileId, forceRefresh);
         if (newBroadcasts) {
-            const wasLive = state.isLive;
-            const liveSlot = wasLive ? state.currentSlot : null;
-
-            Object.assign(state.broadcasts, newBroadcasts);
-            state.lastFetchDate = getStockholmDate();
-            renderTiles();
+            applyBroadcasts(profileId, newBroadcasts);
+            shareBroadcasts(profileId);
+        }
+    }
 
-            // Auto-switch from live to podcast when available
-            if (wasLive && liveSlot && newBroadcasts[liveSlot]) {
-                showStatus('Podd tillgänglig — byter från live', false, 4000);
-                playBroadcast(liveSlot);
-            }
+    /**
+     * Take in today's broadcasts, fetched here or by the polling tab
+     */
+    function applyBroadcasts(profileId, newBroadcasts, { notify = true } = {}) {
+        const profileState = getProfileState(profileId);
+        const wasLive = state.isLive && state.currentProfile === profileId;
+        const liveSlot = wasLive ? state.currentSlot : null;
+        const liveOffset = wasLive ? getLiveBroadcastOffset() : 0;
+
+        // Only broadcasts that show up after the first fetch are news
+        const published = profileState.fetched
+            ? Object.values(newBroadcasts).filter(broadcast => !profileState.broadcasts[broadcast.slot])
+            : [];
+        profileState.fetched = true;
+
+        Object.assign(profileState.broadcasts, newBroadcasts);
+        state.lastFetchDate = getStockholmDate();
+        renderTiles();
+        if (notify && published.length > 0) notifyNewBroadcasts(profileId, published);
+
+        // Auto-switch from live to podcast when available, at the
+        // same point in the broadcast
+        if (wasLive && liveSlot && newBroadcasts[liveSlot]) {
+            const broadcast = newBroadcasts[liveSlot];
+            // Kept listening past the broadcast's end: use the saved position instead
+            const pastEnd = broadcast.duration && liveOffset >= broadcast.duration - CONFIG.LISTENED_THRESHOLD;
+            const startAt = pastEnd ? getResumePosition(broadcast) : liveOffset;
+            playBroadcast(profileId, liveSlot, null, {
+                autoplay: !state.userPausedLive,
+                startAt
+            });
+            showStatus(startAt > 0 ? `Podd tillgänglig — fortsätter från ${formatTime(startAt)}` : 'Podd tillgänglig',
+                false, 4000);
         }
     }
 
     // --- Polling ---
 
-    function calculatePollInterval() {
-        if (state.isLive) {
+    function parseSlotMinutes(slotTime) {
+        const [hour, minute] = slotTime.split(':').map(Number);
+        return hour * 60 + minute;
+    }
+
+    function calculatePollInterval(profileId) {
+        const remote = state.remotePlayback;
+        if ((state.isLive && state.currentProfile === profileId) ||
+            (remote && remote.isLive && remote.profileId === profileId)) {
             return CONFIG.POLL_INTERVALS.ACTIVE;
         }
 
         const { hour, minute } = getStockholmHourMinute();
         const currentMinutes = hour * 60 + minute;
+        const broadcasts = getProfileState(profileId).broadcasts;
 
-        for (const slot of CONFIG.SLOTS) {
-            const pollStartMinutes = slot.pollStart.hour * 60 + slot.pollStart.minute;
+        for (const slot of getScheduledSlots(profileId)) {
+            const pollStartMinutes = parseSlotMinutes(slot.time) + slot.pollOffset;
             const diff = currentMinutes - pollStartMinutes;
 
-            if (!state.broadcasts[slot.time]) {
+            if (!broadcasts[slot.time]) {
                 if (diff >= 0 && diff <= CONFIG.ACTIVE_WINDOW) {
                     return CONFIG.POLL_INTERVALS.ACTIVE;
                 }
@@ -279,38 +821,165 @@
         return CONFIG.POLL_INTERVALS.IDLE;
     }
 
-    function schedulePoll() {
-        if (state.pollTimer) {
-            clearTimeout(state.pollTimer);
+    /**
+     * Retry stale data with exponential backoff, never slower than normal polling
+     */
+    function getRetryDelay(profileId) {
+        const profileState = getProfileState(profileId);
+        const delay = Math.min(
+            CONFIG.RETRY_MAX_DELAY,
+            CONFIG.RETRY_MIN_DELAY * Math.pow(2, profileState.retryCount)
+        );
+        profileState.retryCount++;
+        return Math.min(delay, calculatePollInterval(profileId));
+    }
+
+    function stopPolling(profileId) {
+        const profileState = getProfileState(profileId);
+        if (profileState.pollTimer) {
+            clearTimeout(profileState.pollTimer);
+            profileState.pollTimer = null;
         }
+    }
 
-        const interval = calculatePollInterval();
-        state.pollTimer = setTimeout(async () => {
-            await updateBroadcasts();
-            schedulePoll();
+    /**
+     * Each profile polls on its own schedule, in the polling tab only
+     */
+    function schedulePoll(profileId) {
+        stopPolling(profileId);
+        if (!state.isPollLeader) return;
+
+        const interval = getProfileState(profileId).stale
+            ? getRetryDelay(profileId)
+            : calculatePollInterval(profileId);
+        state.diagnostics.pollIntervals[profileId] = interval;
+        getProfileState(profileId).pollTimer = setTimeout(async () => {
+            await updateBroadcasts(profileId);
+            schedulePoll(profileId);
         }, interval);
     }
 
+    // --- Slot schedule ---
+
+    function getDayType(dateStr) {
+        const day = new Date(`${dateStr}T12:00:00Z`).getUTCDay();
+        return day === 0 || day === 6 ? 'weekend' : 'weekday';
+    }
+
+    function median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    }
+
+    /**
+     * Learn a day type's schedule from recent archived days: slot times
+     * present on at least half of them, with the median publish delay
+     * as poll offset. Null if there are too few days to tell.
+     */
+    function learnSlots(profileId, dayType) {
+        const archive = getProfileState(profileId).archive;
+        const dates = Object.keys(archive)
+            .filter(date => getDayType(date) === dayType)
+            .sort()
+            .reverse()
+            .slice(0, CONFIG.SCHEDULE_LEARN_DAYS);
+        if (dates.length < CONFIG.SCHEDULE_MIN_DAYS) return null;
+
+        const delays = {};
+        dates.forEach(date => {
+            Object.values(archive[date]).forEach(broadcast => {
+                if (broadcast.unscheduled) return;
+                const { hour, minute } = getStockholmHourMinute(new Date(broadcast.timestamp));
+                const delay = hour * 60 + minute - parseSlotMinutes(broadcast.slot);
+                if (!delays[broadcast.slot]) delays[broadcast.slot] = [];
+                if (delay >= 0) delays[broadcast.slot].push(delay);
+            });
+        });
+
+        // Count days per slot, not broadcasts
+        const counts = {};
+        dates.forEach(date => Object.keys(archive[date]).forEach(slot => {
+            counts[slot] = (counts[slot] || 0) + 1;
+        }));
+
+        return Object.keys(delays)
+            .filter(time => counts[time] >= dates.length / 2)
+            .map(time => ({
+                time,
+                pollOffset: delays[time].length > 0 ? median(delays[time]) : null
+            }));
+    }
+
+    /**
+     * Expected slots for today: learned from the API when there is enough
+     * history, otherwise the profile's schedule table
+     */
+    function getScheduledSlots(profileId) {
+        const profile = getProfile(profileId);
+        const dayType = getDayType(getStockholmDate());
+        const table = (profile.schedule && profile.schedule[dayType]) || profile.slots;
+        const learned = learnSlots(profileId, dayType);
+        if (!learned) return table;
+
+        // Only near a scheduled time: a stray number in a title isn't a new slot
+        const isNearTable = time => table.some(slot =>
+            Math.abs(parseSlotMinutes(slot.time) - parseSlotMinutes(time)) <= CONFIG.SCHEDULE_LEARN_TOLERANCE);
+
+        return learned.filter(slot => isNearTable(slot.time)).map(slot => {
+            const known = profile.slots.find(s => s.time === slot.time);
+            const pollOffset = slot.pollOffset !== null ? slot.pollOffset
+                : known ? known.pollOffset : CONFIG.DEFAULT_POLL_OFFSET;
+            return { time: slot.time, pollOffset };
+        });
+    }
+
+    /**
+     * Slot times to show today: the expected schedule plus anything the
+     * API actually published (extra broadcasts, unknown titles)
+     */
+    function getDaySlots(profileId) {
+        const times = new Set(getScheduledSlots(profileId).map(slot => slot.time));
+        Object.keys(getProfileState(profileId).broadcasts).forEach(time => times.add(time));
+        return Array.from(times).sort();
+    }
+
     // --- Broadcast helpers ---
 
-    function findLatestBroadcast() {
+    function findLatestBroadcast(profileId) {
         let latest = null;
         let latestTimestamp = 0;
+        const broadcasts = getProfileState(profileId).broadcasts;
 
-        for (const slot of CONFIG.SLOTS) {
-            const broadcast = state.broadcasts[slot.time];
-            if (broadcast && broadcast.timestamp > latestTimestamp) {
+        for (const slot of Object.keys(broadcasts)) {
+            const broadcast = broadcasts[slot];
+            if (broadcast.timestamp > latestTimestamp) {
                 latestTimestamp = broadcast.timestamp;
-                latest = slot.time;
+                latest = slot;
             }
         }
 
         return latest;
     }
 
-    function getSortedSlots() {
-        const latestSlot = findLatestBroadcast();
-        const slotTimes = CONFIG.SLOTS.map(s => s.time);
+    /**
+     * Newest broadcast across all pinned profiles, as { profileId, slot }
+     */
+    function findLatestPinnedBroadcast() {
+        let latest = null;
+        for (const profileId of state.pinnedProfiles) {
+            const slot = findLatestBroadcast(profileId);
+            if (!slot) continue;
+            const broadcast = getBroadcast(profileId, slot);
+            if (!latest || broadcast.timestamp > latest.timestamp) {
+                latest = { profileId, slot, timestamp: broadcast.timestamp };
+            }
+        }
+        return latest;
+    }
+
+    function getSortedSlots(profileId) {
+        const latestSlot = findLatestBroadcast(profileId);
+        const slotTimes = getDaySlots(profileId);
 
         // Counter-clockwise ring layout:
         //   TL | TR      ring[0] | ring[3]
@@ -327,6 +996,10 @@
             ring = slotTimes;
         }
 
+        // Any other number of slots: chronological from latest,
+        // laid out in reading order
+        if (ring.length !== 4) return ring;
+
         // Map ring positions to grid order (left-to-right, top-to-bottom)
         // ring[0]=TL, ring[1]=BL, ring[2]=BR, ring[3]=TR
         return [ring[0], ring[3], ring[1], ring[2]];
@@ -334,35 +1007,53 @@
 
     // --- Live stream ---
 
-    function isSlotLiveNow(slotTime) {
-        if (state.broadcasts[slotTime]) return false;
+    function getLiveWindowMinutes(profileId) {
+        return getProfile(profileId).liveWindowMinutes || state.settings.liveWindowMinutes;
+    }
+
+    function isSlotLiveNow(profileId, slotTime) {
+        if (getBroadcast(profileId, slotTime)) return false;
 
         const { hour, minute } = getStockholmHourMinute();
         const currentMinutes = hour * 60 + minute;
-        const [slotHour, slotMinute] = slotTime.split(':').map(Number);
-        const slotStartMinutes = slotHour * 60 + slotMinute;
 
-        const diff = currentMinutes - slotStartMinutes;
-        return diff >= 0 && diff <= CONFIG.LIVE_WINDOW_MINUTES;
+        const diff = currentMinutes - parseSlotMinutes(slotTime);
+        return diff >= 0 && diff <= getLiveWindowMinutes(profileId);
     }
 
-    function findLiveSlot() {
-        for (const slot of CONFIG.SLOTS) {
-            if (isSlotLiveNow(slot.time)) {
+    function findLiveSlot(profileId) {
+        for (const slot of getScheduledSlots(profileId)) {
+            if (isSlotLiveNow(profileId, slot.time)) {
                 return slot.time;
             }
         }
         return null;
     }
 
+    /**
+     * First live slot among pinned profiles, as { profileId, slot }
+     */
+    function findPinnedLiveSlot() {
+        for (const profileId of state.pinnedProfiles) {
+            const slot = findLiveSlot(profileId);
+            if (slot) return { profileId, slot };
+        }
+        return null;
+    }
+
     function updatePlayerForLiveMode(isLive) {
         elements.playerContainer.classList.toggle('live-mode', isLive);
+        elements.fromStartButton.hidden = !isLive;
+        elements.shareButton.hidden = isLive || !state.currentSlot;
+        state.chapters = [];
+        renderChapters();
+        updateStreamInfo();
         if (!isLive) {
             elements.playerContainer.classList.remove('live-seekable');
         }
         if (isLive) {
-            elements.currentTime.textContent = 'LIVE';
-            elements.duration.textContent = '';
+            elements.currentTime.textContent = '0:00';
+            elements.duration.textContent = 'LIVE';
             elements.progressFill.style.width = '100%';
         } else {
             elements.currentTime.textContent = '0:00';
@@ -378,163 +1069,2479 @@
         }
     }
 
-    function playLiveStream(slot) {
+    /**
+     * Wall-clock time (ms) when today's slot starts
+     */
+    function getSlotStartTime(slot) {
+        const now = new Date();
+        const { hour, minute } = getStockholmHourMinute(now);
+        const minutesSince = hour * 60 + minute - parseSlotMinutes(slot);
+        return now.getTime() - minutesSince * 60000 - now.getSeconds() * 1000 - now.getMilliseconds();
+    }
+
+    /**
+     * Wall-clock time (ms) when the current live slot's window ends
+     */
+    function getLiveWindowEnd() {
+        return getSlotStartTime(state.currentSlot) + getLiveWindowMinutes(state.currentProfile) * 60000;
+    }
+
+    /**
+     * Wall-clock time (ms) of the live audio being heard. HLS carries
+     * program-date-time (via HlsPlayer, or getStartDate in Safari);
+     * otherwise count from when the stream started playing.
+     */
+    function getLivePlaybackClock() {
+        const audio = elements.audioPlayer;
+        const source = state.hlsPlayer || audio;
+        if (typeof source.getStartDate === 'function') {
+            const start = source.getStartDate().getTime();
+            if (!isNaN(start)) return start + audio.currentTime * 1000;
+        }
+        const anchor = state.liveAnchor;
+        if (anchor) return anchor.wallClock + (audio.currentTime - anchor.mediaTime) * 1000;
+        return Date.now();
+    }
+
+    /**
+     * Seconds into the broadcast the live listener has got to
+     */
+    function getLiveBroadcastOffset() {
+        return Math.max(0, (getLivePlaybackClock() - getSlotStartTime(state.currentSlot)) / 1000);
+    }
+
+    /**
+     * Position in the live stream that holds audio from a wall-clock time
+     */
+    function getLiveStreamTime(wallClock) {
+        return elements.audioPlayer.currentTime + (wallClock - getLivePlaybackClock()) / 1000;
+    }
+
+    /**
+     * Jump back to where the live broadcast started, or as far back as
+     * the DVR window reaches
+     */
+    function seekLiveToStart() {
+        const range = getPlaybackRange();
+        if (!range) {
+            showStatus('Liveströmmen går inte att spola tillbaka', true);
+            return;
+        }
+
+        const target = getLiveStreamTime(getSlotStartTime(state.currentSlot));
+        elements.audioPlayer.currentTime = Math.max(range.start, Math.min(range.end, target));
+        if (target < range.start) {
+            showStatus(`Början finns inte kvar — spelar från ${formatTime(range.start - target)}`);
+        }
+    }
+
+    function clearLiveEndTimer() {
+        if (state.liveEndTimer) {
+            clearTimeout(state.liveEndTimer);
+            state.liveEndTimer = null;
+        }
+    }
+
+    /**
+     * Milliseconds until the position heard reaches the live window end
+     */
+    function getLiveEndDelay() {
+        const rate = elements.audioPlayer.playbackRate || 1;
+        return (getLiveWindowEnd() - getLivePlaybackClock()) / rate;
+    }
+
+    /**
+     * Stop live playback when the slot window ends rather than
+     * carrying on with whatever P1 plays next. Timed from the position
+     * being heard, which after "Från början" is well behind the clock.
+     */
+    function scheduleLiveEnd() {
+        clearLiveEndTimer();
+        const delay = getLiveEndDelay() - CONFIG.SLEEP_FADE_MS;
+        state.liveEndTimer = setTimeout(() => {
+            state.liveEndTimer = null;
+            if (!state.isLive) return;
+            fadeOut(() => {
+                stopPlayback();
+                showStatus('Sändningen är slut — liveströmmen stoppad', false, 4000);
+            });
+        }, Math.max(0, delay));
+    }
+
+    /**
+     * Play a live slot. With fromStart, seek back to the start of the
+     * broadcast once the stream is up.
+     */
+    function playLiveStream(profileId, slot, { fromStart = false } = {}) {
+        switchHistorySession(profileId, slot, null, 'live');
+        clearPendingResume();
         stopAudioFocusKeepAlive();
         clearLiveStallTimer();
+        cancelFade();
 
+        state.currentProfile = profileId;
         state.currentSlot = slot;
+        state.currentDate = null;
         state.isLive = true;
         state.isPaused = false;
         state.userPausedLive = false;
         state.liveStreamIndex = 0;
+        state.liveStreams = getLiveStreamOrder();
+        state.liveStreamInfo = null;
+        state.liveAnchor = null;
+        state.pendingFromStart = fromStart;
 
-        updateMediaSessionMetadata(slot);
-        elements.nowPlaying.textContent = `Ekot ${slot} — LIVE`;
+        updateNowPlaying();
         updatePlayerForLiveMode(true);
         renderTiles();
 
         tryNextLiveStream();
+        scheduleLiveEnd();
 
         // Poll actively to detect podcast availability
-        schedulePoll();
+        schedulePoll(profileId);
+    }
+
+    function stopHlsPlayer() {
+        if (state.hlsPlayer) {
+            state.hlsPlayer.destroy();
+            state.hlsPlayer = null;
+        }
+    }
+
+    /**
+     * Give up on the current live stream and try the next one
+     */
+    function failOverLiveStream(reason) {
+        const stream = state.liveStreams[state.liveStreamIndex];
+        recordFailover(stream ? stream.url : null, reason);
+        clearLiveStallTimer();
+        state.liveStreamIndex++;
+        tryNextLiveStream();
     }
 
     function tryNextLiveStream() {
         clearLiveStallTimer();
+        stopHlsPlayer();
 
-        if (state.liveStreamIndex >= CONFIG.LIVE_STREAM_URLS.length) {
+        if (state.liveStreamIndex >= state.liveStreams.length) {
+            recordFailover(null, 'Alla strömmar misslyckades');
             showStatus('Kunde inte starta liveström', true);
             stopPlayback();
             return;
         }
 
-        const streamUrl = CONFIG.LIVE_STREAM_URLS[state.liveStreamIndex];
+        const stream = state.liveStreams[state.liveStreamIndex];
+        const streamUrl = stream.url;
 
-        // Skip HLS if browser doesn't support it natively (Safari only)
-        if (streamUrl.endsWith('.m3u8') && !hlsSupport) {
-            state.liveStreamIndex++;
+        // HLS plays through Media Source Extensions (seekable everywhere),
+        // else natively (Safari on iOS); skip it if neither is available
+        const isHls = streamUrl.endsWith('.m3u8');
+        if (isHls && !HlsPlayer.isSupported && !hlsSupport) {
+            // Drop it rather than count it as a fallback
+            state.liveStreams.splice(state.liveStreamIndex, 1);
             tryNextLiveStream();
             return;
         }
 
         // Stall timeout: if no 'playing' event fires within limit, try next
         state.liveStallTimer = setTimeout(() => {
-            console.log('Live stream stalled:', streamUrl);
-            state.liveStreamIndex++;
-            tryNextLiveStream();
+            failOverLiveStream('Startade inte inom tidsgränsen');
         }, CONFIG.LIVE_STALL_TIMEOUT);
 
         const onPlaying = () => {
             clearLiveStallTimer();
             elements.audioPlayer.removeEventListener('playing', onPlaying);
+            // What plays now is (close to) the live edge
+            state.liveAnchor = { wallClock: Date.now(), mediaTime: elements.audioPlayer.currentTime };
+            if (state.pendingFromStart) {
+                state.pendingFromStart = false;
+                seekLiveToStart();
+            }
+            setLiveStreamInfo(stream, state.hlsPlayer);
         };
         elements.audioPlayer.addEventListener('playing', onPlaying);
 
-        elements.audioPlayer.src = streamUrl;
-        elements.audioPlayer.play().catch(() => {
-            clearLiveStallTimer();
+        if (isHls && HlsPlayer.isSupported) {
+            const player = HlsPlayer.create(elements.audioPlayer, streamUrl, {
+                lowBandwidth: getPreferredQuality() === 'low',
+                onError: error => {
+                    if (state.hlsPlayer !== player) return;
+                    state.hlsPlayer = null;
+                    elements.audioPlayer.removeEventListener('playing', onPlaying);
+                    failOverLiveStream(`HLS: ${error.message}`);
+                }
+            });
+            state.hlsPlayer = player;
+        } else {
+            elements.audioPlayer.src = streamUrl;
+        }
+        const streamIndex = state.liveStreamIndex;
+        elements.audioPlayer.play().catch(error => {
+            // Already moved on (this rejection is the src change)
+            if (state.liveStreamIndex !== streamIndex) return;
             elements.audioPlayer.removeEventListener('playing', onPlaying);
-            state.liveStreamIndex++;
-            tryNextLiveStream();
+            // Autoplay blocked (e.g. the alarm firing): the stream is fine
+            if (error.name === 'NotAllowedError') {
+                clearLiveStallTimer();
+                showStatus('Tryck \u25B6 för att lyssna');
+                return;
+            }
+            failOverLiveStream(`play(): ${error.name}`);
         });
+        applyPlaybackRate();
     }
 
-    // --- Rendering ---
-
-    function renderTiles() {
-        const latestSlot = findLatestBroadcast();
-        const sortedSlots = getSortedSlots();
+    // --- Live stream quality ---
 
-        elements.tilesContainer.innerHTML = '';
+    function loadLiveQuality() {
+        const quality = localStorage.getItem(CONFIG.LIVE_QUALITY_KEY);
+        state.liveQuality = CONFIG.LIVE_QUALITY_OPTIONS.includes(quality) ? quality : 'auto';
+    }
 
-        sortedSlots.forEach(slot => {
-            const broadcast = state.broadcasts[slot];
-            const isLive = (!broadcast && isSlotLiveNow(slot)) ||
-                           (state.isLive && state.currentSlot === slot && !broadcast);
-            const isActive = !!broadcast;
-            const isLatest = slot === latestSlot;
-            const isPlaying = state.currentSlot === slot;
+    /**
+     * 'high' or 'low'. Auto goes low with data saver on or a slow connection.
+     */
+    function getPreferredQuality() {
+        if (state.liveQuality !== 'auto') return state.liveQuality;
 
-            const tile = document.createElement('div');
-            tile.className = 'tile';
-            tile.classList.toggle('active', isActive || isLive);
-            tile.classList.toggle('inactive', !isActive && !isLive);
-            tile.classList.toggle('live', isLive);
-            tile.classList.toggle('latest', isLatest);
-            tile.classList.toggle('playing', isPlaying);
-            tile.classList.toggle('paused', isPlaying && state.isPaused);
-            tile.dataset.slot = slot;
+        const connection = navigator.connection;
+        if (!connection) return 'high';
+        if (connection.saveData) return 'low';
+        return ['slow-2g', '2g', '3g'].includes(connection.effectiveType) ? 'low' : 'high';
+    }
 
-            const icon = document.createElement('img');
-            icon.className = 'tile-icon';
-            icon.src = 'assets/icon-tile-384x384.png';
-            icon.alt = 'Ekot';
+    /**
+     * Live streams in the order to try them. HLS stays first (it has the
+     * DVR window and picks its own variant); the fixed-bitrate streams
+     * follow, lowest or highest first.
+     */
+    function getLiveStreamOrder() {
+        const low = getPreferredQuality() === 'low';
+        const adaptive = CONFIG.LIVE_STREAMS.filter(stream => stream.kbps === null);
+        const fixed = CONFIG.LIVE_STREAMS.filter(stream => stream.kbps !== null)
+            .sort((a, b) => low ? a.kbps - b.kbps : b.kbps - a.kbps);
+        return adaptive.concat(fixed);
+    }
+
+    function formatStreamInfo(info) {
+        return info.kbps ? `${info.label} ${info.kbps} kbps` : info.label;
+    }
+
+    /**
+     * Record which stream actually plays, with the HLS variant's bitrate
+     */
+    function setLiveStreamInfo(stream, hlsPlayer) {
+        const bandwidth = hlsPlayer ? hlsPlayer.getBandwidth() : 0;
+        state.liveStreamInfo = {
+            label: stream.label,
+            kbps: bandwidth ? Math.round(bandwidth / 1000) : stream.kbps
+        };
+        // Fell back from a stream that failed
+        if (state.liveStreamIndex > 0) {
+            showStatus(`Bytte till ${formatStreamInfo(state.liveStreamInfo)}`, false, 4000);
+        }
+        updateStreamInfo();
+    }
+
+    function updateStreamInfo() {
+        const info = state.isLive ? state.liveStreamInfo : null;
+        elements.streamInfo.hidden = !info;
+        elements.streamInfo.textContent = info ? formatStreamInfo(info) : '';
+        if (isSheetOpen(elements.liveQualitySheet)) renderLiveQuality();
+    }
+
+    function renderLiveQuality() {
+        elements.liveQuality.value = state.liveQuality;
+        const info = state.isLive ? state.liveStreamInfo : null;
+        elements.liveQualityStatus.textContent = info
+            ? `Spelar nu: ${formatStreamInfo(info)}`
+            : `Nästa liveström: ${getPreferredQuality() === 'low' ? 'låg' : 'hög'} kvalitet`;
+    }
+
+    function openLiveQuality() {
+        renderLiveQuality();
+        openSheet(elements.liveQualitySheet);
+    }
+
+    // --- Settings ---
+
+    /**
+     * The value to store for a setting, or null if it isn't allowed
+     */
+    function validateSetting(key, value) {
+        const spec = CONFIG.SETTINGS[key];
+        if (spec.options) return spec.options.includes(value) ? value : null;
+
+        const number = Number(value);
+        if (value === '' || value === null || !Number.isInteger(number)) return null;
+        return number >= spec.min && number <= spec.max ? number : null;
+    }
+
+    function loadSettings() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(CONFIG.SETTINGS_KEY)) || {};
+        } catch (error) {
+            console.log('Could not read settings:', error);
+        }
+
+        state.settings = {};
+        Object.keys(CONFIG.SETTINGS).forEach(key => {
+            const value = key in saved ? validateSetting(key, saved[key]) : null;
+            state.settings[key] = value !== null ? value : CONFIG.SETTINGS[key].default;
+        });
+    }
+
+    function updateSkipLabels() {
+        const seconds = state.settings.skipSeconds;
+        elements.skipBack.querySelector('.control-icon').textContent = `-${seconds}s`;
+        elements.skipBack.setAttribute('aria-label', `Spola tillbaka ${seconds} sekunder`);
+        elements.skipForward.querySelector('.control-icon').textContent = `+${seconds}s`;
+        elements.skipForward.setAttribute('aria-label', `Spola framåt ${seconds} sekunder`);
+    }
+
+    /**
+     * Put changed settings into effect without a reload
+     */
+    function applySettings() {
+        updateSkipLabels();
+        // Restart a running keep-alive so the new timeout counts from now
+        if (state.audioFocusTimer) startAudioFocusKeepAlive();
+        // The live window decides which tiles are live and when live stops
+        if (state.isLive) scheduleLiveEnd();
+        renderTiles();
+    }
+
+    function renderSettings() {
+        Object.keys(CONFIG.SETTINGS).forEach(key => {
+            const field = elements.settingsForm.elements[key];
+            const spec = CONFIG.SETTINGS[key];
+            if (!spec.options) {
+                field.min = String(spec.min);
+                field.max = String(spec.max);
+            }
+            field.value = String(state.settings[key]);
+            field.classList.remove('invalid');
+        });
+        elements.settingsError.hidden = true;
+    }
+
+    function updateSetting(field) {
+        const key = field.name;
+        if (!(key in CONFIG.SETTINGS)) return;
+
+        const value = validateSetting(key, field.value);
+        field.classList.toggle('invalid', value === null);
+        if (value === null) {
+            const spec = CONFIG.SETTINGS[key];
+            elements.settingsError.textContent = `Ange ett heltal mellan ${spec.min} och ${spec.max}.`;
+            elements.settingsError.hidden = false;
+            return;
+        }
+
+        elements.settingsError.hidden = true;
+        state.settings[key] = value;
+        localStorage.setItem(CONFIG.SETTINGS_KEY, JSON.stringify(state.settings));
+        applySettings();
+    }
+
+    function resetSettings() {
+        localStorage.removeItem(CONFIG.SETTINGS_KEY);
+        loadSettings();
+        renderSettings();
+        applySettings();
+        showStatus('Inställningarna är återställda', false, 3000);
+    }
+
+    function openSettings() {
+        renderSettings();
+        openSheet(elements.settingsSheet);
+    }
+
+    // --- Playback speed ---
+
+    function loadPlaybackRate() {
+        const rate = Number(localStorage.getItem(CONFIG.PLAYBACK_RATE_KEY));
+        state.playbackRate = CONFIG.PLAYBACK_RATE_OPTIONS.includes(rate) ? rate : 1;
+    }
+
+    function isBehindLiveEdge() {
+        const range = getPlaybackRange();
+        if (!range) return false;
+        return range.end - elements.audioPlayer.currentTime > CONFIG.LIVE_EDGE_THRESHOLD;
+    }
+
+    /**
+     * Speed only applies to live when there's buffered audio to catch up on
+     */
+    function getEffectivePlaybackRate() {
+        if (state.isLive && !isBehindLiveEdge()) return 1;
+        return state.playbackRate;
+    }
+
+    function formatRate(rate) {
+        return `${rate.toLocaleString('sv-SE')}\u00D7`;
+    }
+
+    function applyPlaybackRate() {
+        const rate = getEffectivePlaybackRate();
+        // defaultPlaybackRate survives source changes, playbackRate does not
+        elements.audioPlayer.defaultPlaybackRate = rate;
+        if (elements.audioPlayer.playbackRate !== rate) {
+            elements.audioPlayer.playbackRate = rate;
+        }
+        elements.speedButton.textContent = formatRate(state.playbackRate);
+        elements.speedButton.classList.toggle('suspended', rate !== state.playbackRate);
+    }
+
+    function setPlaybackRate(rate) {
+        state.playbackRate = rate;
+        localStorage.setItem(CONFIG.PLAYBACK_RATE_KEY, String(rate));
+        applyPlaybackRate();
+        if (state.isLive && rate !== 1 && !isBehindLiveEdge()) {
+            showStatus('Hastighet gäller när du ligger efter live');
+        }
+    }
+
+    function cyclePlaybackRate() {
+        const cycle = CONFIG.PLAYBACK_RATE_CYCLE;
+        const index = cycle.indexOf(state.playbackRate);
+        setPlaybackRate(cycle[(index + 1) % cycle.length]);
+    }
+
+    function renderSpeedMenu() {
+        elements.speedMenu.innerHTML = '';
+        CONFIG.PLAYBACK_RATE_OPTIONS.forEach(rate => {
+            const option = document.createElement('button');
+            option.className = 'player-menu-option';
+            option.classList.toggle('selected', rate === state.playbackRate);
+            option.textContent = formatRate(rate);
+            option.addEventListener('click', () => {
+                setPlaybackRate(rate);
+                closeSpeedMenu();
+            });
+            elements.speedMenu.appendChild(option);
+        });
+    }
+
+    function openSpeedMenu() {
+        renderSpeedMenu();
+        elements.speedMenu.hidden = false;
+    }
+
+    function closeSpeedMenu() {
+        elements.speedMenu.hidden = true;
+    }
+
+    // --- Volume and loudness ---
+
+    // iOS ignores audio.volume; there only the Web Audio gain can change it
+    const elementVolumeSupported = (() => {
+        const probe = new Audio();
+        probe.volume = 0.5;
+        return probe.volume === 0.5;
+    })();
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+
+    function loadVolume() {
+        const saved = localStorage.getItem(CONFIG.VOLUME_KEY);
+        const volume = saved === null ? 1 : Number(saved);
+        state.volume = Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : 1;
+        state.normalise = Boolean(AudioContextClass) && localStorage.getItem(CONFIG.NORMALISE_KEY) === '1';
+    }
+
+    function canAdjustVolume() {
+        return elementVolumeSupported || Boolean(state.audioGraph);
+    }
+
+    /**
+     * Slider volume times the sleep fade, through the gain node once the
+     * element is routed into Web Audio
+     */
+    function applyVolume() {
+        const level = state.volume * state.fadeLevel;
+        if (state.audioGraph) {
+            state.audioGraph.volume.gain.value = level;
+            elements.audioPlayer.volume = 1;
+        } else {
+            elements.audioPlayer.volume = level;
+        }
+    }
+
+    /**
+     * Load whatever is playing again at the same point, e.g. after the
+     * element switched in or out of CORS mode
+     */
+    function reloadAudioSource(autoplay) {
+        const audio = elements.audioPlayer;
+        // The HLS player feeds the element from a same-origin MediaSource
+        if (!state.currentSlot || state.hlsPlayer) return;
+        if (state.isLive) {
+            if (autoplay) playLiveStream(state.currentProfile, state.currentSlot);
+            return;
+        }
+        playBroadcast(state.currentProfile, state.currentSlot, state.currentDate, {
+            autoplay,
+            startAt: audio.currentTime || null
+        });
+    }
+
+    /**
+     * Web Audio only gets samples from cross-origin audio loaded in CORS
+     * mode, which in turn needs the audio hosts to allow it. Only the
+     * normaliser asks for it, and the attribute takes effect on the next
+     * load, so whatever is loaded gets reloaded at the same point.
+     * True once the audio in the element was loaded that way.
+     */
+    function useCorsAudio() {
+        const audio = elements.audioPlayer;
+        if (audio.crossOrigin !== 'anonymous') {
+            audio.crossOrigin = 'anonymous';
+            if (state.hlsPlayer) return true;
+            reloadAudioSource(!audio.paused);
+            return false;
+        }
+        return Boolean(state.hlsPlayer) || audio.readyState >= HTMLMediaElement.HAVE_METADATA;
+    }
+
+    /**
+     * A host without CORS headers fails the load outright. Until the
+     * element is routed that's recoverable: play without CORS and without
+     * the normaliser for the rest of the session. True if handled.
+     */
+    function fallBackFromCors() {
+        const audio = elements.audioPlayer;
+        if (audio.crossOrigin !== 'anonymous' || state.audioGraph || !state.currentSlot) return false;
+
+        console.log('Audio host refused CORS, normaliser unavailable');
+        state.corsBlocked = true;
+        audio.removeAttribute('crossorigin');
+        showStatus('Utjämning fungerar inte med den här ljudkällan', true);
+        reloadAudioSource(true);
+        return true;
+    }
+
+    /**
+     * Route the audio element through Web Audio. Done only once the
+     * normaliser is wanted: a media element can't be unrouted again, and
+     * a suspended context would silence it in the background. Waits for
+     * audio loaded in CORS mode, or a refused load would leave it silent.
+     */
+    function ensureAudioGraph() {
+        if (state.audioGraph || !AudioContextClass || state.corsBlocked) return;
+        if (!useCorsAudio()) return;
+
+        const context = new AudioContextClass();
+        const source = context.createMediaElementSource(elements.audioPlayer);
+        const compressor = context.createDynamicsCompressor();
+        const settings = CONFIG.NORMALISER;
+        compressor.threshold.value = settings.threshold;
+        compressor.knee.value = settings.knee;
+        compressor.ratio.value = settings.ratio;
+        compressor.attack.value = settings.attack;
+        compressor.release.value = settings.release;
+
+        const makeup = context.createGain();
+        makeup.gain.value = settings.makeupGain;
+        const volume = context.createGain();
+
+        compressor.connect(makeup);
+        makeup.connect(volume);
+        volume.connect(context.destination);
+
+        state.audioGraph = { context, source, compressor, volume };
+        connectAudioGraph();
+        applyVolume();
+    }
+
+    /**
+     * Send the source through the compressor or straight to the volume gain
+     */
+    function connectAudioGraph() {
+        const graph = state.audioGraph;
+        graph.source.disconnect();
+        graph.source.connect(state.normalise ? graph.compressor : graph.volume);
+    }
+
+    /**
+     * Contexts start suspended without a user gesture, and some browsers
+     * suspend them in the background
+     */
+    function resumeAudioGraph() {
+        if (state.normalise) ensureAudioGraph();
+        const graph = state.audioGraph;
+        if (graph && graph.context.state === 'suspended') {
+            graph.context.resume().catch(error => {
+                console.log('Could not resume audio context:', error);
+            });
+        }
+    }
+
+    function setVolume(volume) {
+        state.volume = volume;
+        localStorage.setItem(CONFIG.VOLUME_KEY, String(volume));
+        applyVolume();
+        updateVolumeButton();
+    }
+
+    function setNormalise(enabled) {
+        state.normalise = enabled;
+        localStorage.setItem(CONFIG.NORMALISE_KEY, enabled ? '1' : '0');
+        if (state.audioGraph) {
+            connectAudioGraph();
+        } else if (enabled) {
+            ensureAudioGraph();
+            if (state.corsBlocked) showStatus('Utjämning fungerar inte med den här ljudkällan', true);
+        }
+        resumeAudioGraph();
+        renderVolumeMenu();
+        updateVolumeButton();
+    }
+
+    function updateVolumeButton() {
+        elements.volumeButton.innerHTML = state.volume === 0 ? '&#128263;' : '&#128266;';
+        elements.volumeButton.classList.toggle('active', state.normalise);
+    }
+
+    function renderVolumeMenu() {
+        elements.volumeRow.hidden = !canAdjustVolume();
+        elements.volumeSlider.value = String(state.volume);
+        elements.normaliseToggle.hidden = !AudioContextClass;
+        elements.normaliseToggle.classList.toggle('selected', state.normalise);
+        elements.normaliseToggle.setAttribute('aria-pressed', String(state.normalise));
+    }
+
+    function toggleVolumeMenu() {
+        const open = elements.volumeMenu.hidden;
+        if (open) renderVolumeMenu();
+        elements.volumeMenu.hidden = !open;
+    }
+
+    // --- Sleep timer ---
+
+    /**
+     * Fade the volume to zero, then run onDone and restore the volume
+     */
+    function fadeOut(onDone) {
+        rampFadeLevel(1, 0, CONFIG.SLEEP_FADE_MS, () => {
+            onDone();
+            state.fadeLevel = 1;
+            applyVolume();
+        });
+    }
+
+    /**
+     * Move the fade level from one value to another over duration ms.
+     * Shared by the sleep fade-out and the alarm ramp-up.
+     */
+    function rampFadeLevel(from, to, duration, onDone) {
+        cancelFade();
+        const steps = Math.max(1, Math.round(duration / CONFIG.FADE_STEP_MS));
+        let step = 0;
+
+        state.fadeLevel = from;
+        applyVolume();
+        state.fadeTimer = setInterval(() => {
+            step++;
+            state.fadeLevel = from + (to - from) * Math.min(1, step / steps);
+            applyVolume();
+            if (step >= steps) {
+                clearInterval(state.fadeTimer);
+                state.fadeTimer = null;
+                if (onDone) onDone();
+            }
+        }, CONFIG.FADE_STEP_MS);
+    }
+
+    function cancelFade() {
+        if (!state.fadeTimer) return;
+        clearInterval(state.fadeTimer);
+        state.fadeTimer = null;
+        state.fadeLevel = 1;
+        applyVolume();
+    }
+
+    function clearSleepTimer() {
+        if (state.sleepTimer && state.sleepTimer.timeout) {
+            clearTimeout(state.sleepTimer.timeout);
+        }
+        state.sleepTimer = null;
+        updateSleepButton();
+    }
+
+    function sleepNow() {
+        clearSleepTimer();
+        fadeOut(() => {
+            elements.audioPlayer.pause();
+            if (state.isLive) state.userPausedLive = true;
+            showStatus('Sovtimer — uppspelningen pausad', false, 4000);
+        });
+    }
+
+    /**
+     * Minutes from now (number) or 'end' for the end of the current
+     * broadcast; null turns the timer off
+     */
+    function setSleepTimer(option) {
+        clearSleepTimer();
+        if (option === null) {
+            showStatus('Sovtimer av');
+            return;
+        }
+
+        if (option === 'end') {
+            // Live: the slot window end. Podcast: checked on timeupdate
+            state.sleepTimer = { endOfBroadcast: true, endsAt: null };
+            scheduleSleepAtLiveEnd();
+            showStatus('Sovtimer: när sändningen är slut');
+        } else {
+            const endsAt = Date.now() + option * 60000;
+            state.sleepTimer = {
+                endOfBroadcast: false,
+                endsAt,
+                timeout: setTimeout(sleepNow, endsAt - Date.now() - CONFIG.SLEEP_FADE_MS)
+            };
+            showStatus(`Sovtimer: ${option} min`);
+        }
+        updateSleepButton();
+    }
+
+    /**
+     * Live end-of-broadcast mode: timed from the position heard, like the
+     * live end itself, and retimed when that moves
+     */
+    function scheduleSleepAtLiveEnd() {
+        const timer = state.sleepTimer;
+        if (!timer || !timer.endOfBroadcast || !state.isLive) return;
+        clearTimeout(timer.timeout);
+        timer.endsAt = Date.now() + getLiveEndDelay();
+        timer.timeout = setTimeout(sleepNow, Math.max(0, timer.endsAt - Date.now() - CONFIG.SLEEP_FADE_MS));
+    }
+
+    /**
+     * Podcast end-of-broadcast mode: start fading so it ends with the file
+     */
+    function checkSleepAtEnd() {
+        const timer = state.sleepTimer;
+        if (!timer || !timer.endOfBroadcast || timer.endsAt || state.isLive) return;
+        if (state.fadeTimer) return;
+
+        const audio = elements.audioPlayer;
+        if (!audio.duration || !isFinite(audio.duration)) return;
+        const remaining = (audio.duration - audio.currentTime) / (audio.playbackRate || 1);
+        if (remaining * 1000 <= CONFIG.SLEEP_FADE_MS) {
+            sleepNow();
+        }
+    }
+
+    function updateSleepButton() {
+        const timer = state.sleepTimer;
+        elements.sleepButton.classList.toggle('active', !!timer);
+        if (!timer) {
+            elements.sleepButton.textContent = '\u263E';
+        } else if (timer.endsAt) {
+            const minutes = Math.max(1, Math.ceil((timer.endsAt - Date.now()) / 60000));
+            elements.sleepButton.textContent = `${minutes}m`;
+        } else {
+            elements.sleepButton.textContent = 'Slut';
+        }
+    }
+
+    function renderSleepMenu() {
+        const options = CONFIG.SLEEP_OPTIONS.map(minutes => ({ value: minutes, label: `${minutes} min` }));
+        options.push({ value: 'end', label: 'Slutet av sändningen' });
+        if (state.sleepTimer) options.push({ value: null, label: 'Stäng av' });
+
+        elements.sleepMenu.innerHTML = '';
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('button');
+            option.className = 'player-menu-option';
+            option.textContent = label;
+            option.addEventListener('click', () => {
+                setSleepTimer(value);
+                elements.sleepMenu.hidden = true;
+            });
+            elements.sleepMenu.appendChild(option);
+        });
+    }
+
+    function toggleSleepMenu() {
+        const open = elements.sleepMenu.hidden;
+        if (open) renderSleepMenu();
+        elements.sleepMenu.hidden = !open;
+    }
+
+    // --- Playback positions ---
+
+    function loadPositions() {
+        try {
+            state.positions = JSON.parse(localStorage.getItem(CONFIG.POSITIONS_KEY)) || {};
+        } catch (e) {
+            state.positions = {};
+        }
+
+        // Drop entries for broadcasts no longer worth remembering
+        const cutoff = Date.now() - CONFIG.POSITION_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        for (const key of Object.keys(state.positions)) {
+            if (!(state.positions[key].updatedAt > cutoff)) {
+                delete state.positions[key];
+            }
+        }
+    }
+
+    function savePositions() {
+        state.lastPositionSave = Date.now();
+        try {
+            localStorage.setItem(CONFIG.POSITIONS_KEY, JSON.stringify(state.positions));
+        } catch (e) {
+            console.log('Could not save playback positions:', e);
+        }
+    }
+
+    /**
+     * Positions are keyed by podfile id, falling back to the audio URL
+     */
+    function getPositionKey(broadcast) {
+        return broadcast.id || broadcast.audioUrl;
+    }
+
+    function getPosition(broadcast) {
+        return broadcast ? state.positions[getPositionKey(broadcast)] || null : null;
+    }
+
+    /**
+     * Record the current podcast position; saved at most every few seconds
+     * unless forced (pause, ended)
+     */
+    function recordPosition(force = false) {
+        if (state.isLive || !state.currentSlot) return;
+        const broadcast = getBroadcast(state.currentProfile, state.currentSlot, state.currentDate);
+        if (!broadcast) return;
+
+        const position = elements.audioPlayer.currentTime || 0;
+        const duration = elements.audioPlayer.duration;
+        if (!duration || !isFinite(duration)) return;
+
+        const key = getPositionKey(broadcast);
+        const entry = state.positions[key] || { listened: false };
+        entry.position = position;
+        entry.duration = duration;
+        entry.updatedAt = Date.now();
+        if (duration - position <= CONFIG.LISTENED_THRESHOLD) {
+            entry.listened = true;
+        }
+        state.positions[key] = entry;
+
+        if (force || Date.now() - state.lastPositionSave >= CONFIG.POSITION_SAVE_INTERVAL) {
+            savePositions();
+            if (!state.currentDate) updateTileProgress(state.currentProfile, state.currentSlot);
+        }
+    }
+
+    function markListened(broadcast) {
+        const key = getPositionKey(broadcast);
+        const entry = state.positions[key] || {};
+        entry.listened = true;
+        entry.updatedAt = Date.now();
+        state.positions[key] = entry;
+        savePositions();
+    }
+
+    /**
+     * Resume point for a broadcast, or 0 if unheard or already listened
+     */
+    function getResumePosition(broadcast) {
+        const entry = getPosition(broadcast);
+        if (!entry || entry.listened) return 0;
+        if (entry.position < CONFIG.POSITION_MIN_RESUME) return 0;
+        return entry.position;
+    }
+
+    function applyTileProgress(tile, broadcast) {
+        const entry = getPosition(broadcast);
+        const listened = !!(entry && entry.listened);
+        tile.classList.toggle('listened', listened);
+
+        let ring = tile.querySelector('.tile-progress');
+        const fraction = entry && !listened && entry.duration
+            ? Math.min(1, entry.position / entry.duration)
+            : 0;
+
+        if (fraction <= 0) {
+            if (ring) ring.remove();
+            return;
+        }
+        if (!ring) {
+            ring = document.createElement('div');
+            ring.className = 'tile-progress';
+            tile.insertBefore(ring, tile.firstChild);
+        }
+        ring.style.setProperty('--progress', fraction.toFixed(3));
+    }
+
+    function findTile(profileId, slot) {
+        return elements.tilesContainer.querySelector(
+            `.tile[data-profile="${profileId}"][data-slot="${slot}"]`
+        );
+    }
+
+    function updateTileProgress(profileId, slot) {
+        const tile = findTile(profileId, slot);
+        const broadcast = getBroadcast(profileId, slot);
+        if (tile && broadcast) applyTileProgress(tile, broadcast);
+    }
+
+    // --- Offline downloads ---
+
+    function loadDownloadRetention() {
+        const days = Number(localStorage.getItem(CONFIG.DOWNLOAD_RETENTION_KEY));
+        state.downloadRetentionDays = CONFIG.DOWNLOAD_RETENTION_OPTIONS.includes(days)
+            ? days
+            : CONFIG.DOWNLOAD_RETENTION_DAYS;
+    }
+
+    /**
+     * Rebuild state.downloaded from the audio cache. Metadata travels in
+     * X-Ekot-* headers on the cached response.
+     */
+    async function refreshDownloads() {
+        if (!downloadsSupported) return;
+
+        const downloaded = {};
+        try {
+            const cache = await caches.open(CONFIG.AUDIO_CACHE);
+            const requests = await cache.keys();
+            for (const request of requests) {
+                const response = await cache.match(request);
+                if (!response) continue;
+                downloaded[request.url] = {
+                    profileId: response.headers.get('X-Ekot-Profile') || 'ekot',
+                    size: Number(response.headers.get('Content-Length')) || 0,
+                    downloadedAt: Number(response.headers.get('X-Ekot-Downloaded')) || 0,
+                    slot: response.headers.get('X-Ekot-Slot') || '',
+                    date: response.headers.get('X-Ekot-Date') || '',
+                    pubDate: response.headers.get('X-Ekot-PubDate') || '',
+                    id: response.headers.get('X-Ekot-Id') || ''
+                };
+            }
+        } catch (error) {
+            console.log('Could not read downloads:', error);
+        }
+        state.downloaded = downloaded;
+    }
+
+    async function readWithProgress(response, onProgress) {
+        const total = Number(response.headers.get('Content-Length'));
+        const type = response.headers.get('Content-Type') || 'audio/mpeg';
+        if (!response.body || !total) return response.blob();
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let received = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            received += value.length;
+            onProgress(Math.min(1, received / total));
+        }
+        return new Blob(chunks, { type });
+    }
+
+    async function downloadBroadcast(profileId, slot, date = null) {
+        const broadcast = getBroadcast(profileId, slot, date);
+        if (!broadcast || !broadcast.audioUrl) return;
+
+        const url = broadcast.audioUrl;
+        if (state.downloaded[url]) {
+            showStatus('Sändningen är redan nedladdad');
+            return;
+        }
+        if (url in state.downloadProgress) return;
+
+        state.downloadProgress[url] = 0;
+        updateTileDownload(profileId, slot);
+
+        try {
+            const response = await fetch(url, { mode: 'cors' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const blob = await readWithProgress(response, fraction => {
+                state.downloadProgress[url] = fraction;
+                updateTileDownload(profileId, slot);
+            });
+
+            const cache = await caches.open(CONFIG.AUDIO_CACHE);
+            await cache.put(url, new Response(blob, {
+                headers: {
+                    'Content-Type': blob.type || 'audio/mpeg',
+                    'Content-Length': String(blob.size),
+                    'X-Ekot-Downloaded': String(Date.now()),
+                    'X-Ekot-Profile': profileId,
+                    'X-Ekot-Slot': slot,
+                    'X-Ekot-Date': date || getStockholmDate(),
+                    'X-Ekot-PubDate': broadcast.pubDate || '',
+                    'X-Ekot-Id': broadcast.id || ''
+                }
+            }));
+
+            // Ask the browser not to evict downloads under storage pressure
+            if (navigator.storage && navigator.storage.persist) {
+                navigator.storage.persist();
+            }
+            showStatus(`${getProfile(profileId).name} ${slot} nedladdad`);
+        } catch (error) {
+            console.error('Download failed:', error);
+            showStatus('Kunde inte ladda ner sändningen', true);
+        } finally {
+            delete state.downloadProgress[url];
+            await refreshDownloads();
+            renderTiles();
+            if (isSheetOpen(elements.storageSheet)) renderStorage();
+        }
+    }
+
+    async function deleteDownload(url) {
+        const cache = await caches.open(CONFIG.AUDIO_CACHE);
+        await cache.delete(url);
+        await refreshDownloads();
+        renderTiles();
+    }
+
+    async function purgeExpiredDownloads() {
+        if (!downloadsSupported) return;
+
+        await refreshDownloads();
+        const cutoff = Date.now() - state.downloadRetentionDays * 24 * 60 * 60 * 1000;
+        const expired = Object.keys(state.downloaded)
+            .filter(url => state.downloaded[url].downloadedAt < cutoff);
+        if (expired.length === 0) return;
+
+        const cache = await caches.open(CONFIG.AUDIO_CACHE);
+        await Promise.all(expired.map(url => cache.delete(url)));
+        console.log(`Removed ${expired.length} expired download(s)`);
+        await refreshDownloads();
+        renderTiles();
+    }
+
+    function applyTileDownload(button, url) {
+        const progress = state.downloadProgress[url];
+        const downloading = progress !== undefined;
+        const downloaded = !!state.downloaded[url];
+
+        button.classList.toggle('downloading', downloading);
+        button.classList.toggle('downloaded', downloaded);
+        if (downloading) {
+            button.textContent = `${Math.round(progress * 100)}%`;
+            button.setAttribute('aria-label', 'Laddar ner');
+        } else if (downloaded) {
+            button.textContent = '\u2713';
+            button.setAttribute('aria-label', 'Nedladdad');
+        } else {
+            button.textContent = '\u2193';
+            button.setAttribute('aria-label', 'Ladda ner');
+        }
+    }
+
+    function updateTileDownload(profileId, slot) {
+        const tile = findTile(profileId, slot);
+        const button = tile && tile.querySelector('.tile-download');
+        const broadcast = getBroadcast(profileId, slot);
+        if (button && broadcast) applyTileDownload(button, broadcast.audioUrl);
+    }
+
+    // --- Rendering ---
+
+    /**
+     * One profile renders straight into the grid; several pinned
+     * profiles each get their own labelled row
+     */
+    function renderTiles() {
+        const multi = state.pinnedProfiles.length > 1;
+
+        elements.tilesContainer.innerHTML = '';
+        elements.tilesContainer.classList.toggle('multi', multi);
+
+        if (!multi) {
+            // Square-ish grid for however many slots the day has
+            const count = Math.max(1, getDaySlots(state.pinnedProfiles[0]).length);
+            const cols = Math.max(2, Math.ceil(Math.sqrt(count)));
+            const rows = Math.max(2, Math.ceil(count / cols));
+            elements.tilesContainer.style.setProperty('--grid-cols', cols);
+            elements.tilesContainer.style.setProperty('--grid-rows', rows);
+        }
+
+        state.pinnedProfiles.forEach(profileId => {
+            if (!multi) {
+                renderProfileTiles(profileId, elements.tilesContainer);
+                return;
+            }
+
+            const row = document.createElement('section');
+            row.className = 'tile-row';
+
+            const heading = document.createElement('h2');
+            heading.className = 'tile-row-title';
+            heading.textContent = getProfile(profileId).name;
+
+            const grid = document.createElement('div');
+            grid.className = 'tile-row-grid';
+
+            row.appendChild(heading);
+            row.appendChild(grid);
+            renderProfileTiles(profileId, grid);
+            elements.tilesContainer.appendChild(row);
+        });
+
+        updateHeaderTitle();
+        updateDateDisplay();
+    }
+
+    function renderProfileTiles(profileId, container) {
+        const profile = getProfile(profileId);
+        const artwork = getProfileArtwork(profileId);
+        const latestSlot = findLatestBroadcast(profileId);
+        const sortedSlots = getSortedSlots(profileId);
+        const isCurrentProfile = state.currentProfile === profileId;
+
+        container.style.setProperty('--row-slots', sortedSlots.length);
+
+        sortedSlots.forEach(slot => {
+            const broadcast = getBroadcast(profileId, slot);
+            const isLive = (!broadcast && isSlotLiveNow(profileId, slot)) ||
+                           (state.isLive && isCurrentProfile && state.currentSlot === slot && !broadcast);
+            const isActive = !!broadcast;
+            const isLatest = slot === latestSlot;
+            const isPlaying = isCurrentProfile && state.currentSlot === slot && !state.currentDate;
+
+            const tile = document.createElement('div');
+            tile.className = 'tile';
+            tile.classList.toggle('active', isActive || isLive);
+            tile.classList.toggle('inactive', !isActive && !isLive);
+            tile.classList.toggle('live', isLive);
+            tile.classList.toggle('latest', isLatest);
+            tile.classList.toggle('playing', isPlaying);
+            tile.classList.toggle('paused', isPlaying && state.isPaused);
+            tile.dataset.profile = profileId;
+            tile.dataset.slot = slot;
+
+            if (artwork) {
+                const icon = document.createElement('img');
+                icon.className = 'tile-icon';
+                icon.src = artwork.tile;
+                icon.alt = profile.name;
+                tile.appendChild(icon);
+            } else {
+                const name = document.createElement('span');
+                name.className = 'tile-name';
+                name.textContent = profile.name;
+                tile.appendChild(name);
+            }
+
+            const timeLabel = document.createElement('span');
+            timeLabel.className = 'tile-time';
+            timeLabel.textContent = slot;
+
+            if (broadcast && broadcast.duration) {
+                const durationLabel = document.createElement('span');
+                durationLabel.className = 'tile-duration';
+                durationLabel.textContent = formatDuration(broadcast.duration);
+                timeLabel.prepend(durationLabel);
+            }
+
+            tile.appendChild(timeLabel);
+
+            if (broadcast) {
+                applyTileProgress(tile, broadcast);
+            }
+
+            if (broadcast && downloadsSupported) {
+                const download = document.createElement('button');
+                download.className = 'tile-download';
+                applyTileDownload(download, broadcast.audioUrl);
+                download.addEventListener('click', event => {
+                    event.stopPropagation();
+                    downloadBroadcast(profileId, slot);
+                });
+                tile.appendChild(download);
+            }
+
+            if (isLive) {
+                const fromStart = document.createElement('button');
+                fromStart.className = 'tile-from-start';
+                fromStart.textContent = '\u23EE';
+                fromStart.title = 'Från början';
+                fromStart.setAttribute('aria-label', `${profile.name} ${slot} från början`);
+                fromStart.addEventListener('click', event => {
+                    event.stopPropagation();
+                    if (state.isLive && isCurrentProfile && state.currentSlot === slot) {
+                        seekLiveToStart();
+                    } else {
+                        playLiveStream(profileId, slot, { fromStart: true });
+                    }
+                });
+                tile.appendChild(fromStart);
+            }
+
+            if (isActive) {
+                addLongPress(tile, () => openBroadcastDetails(profileId, slot));
+                tile.addEventListener('click', () => playBroadcast(profileId, slot));
+            } else if (isLive) {
+                tile.addEventListener('click', () => playLiveStream(profileId, slot));
+            }
+
+            container.appendChild(tile);
+        });
+    }
+
+    function updateHeaderTitle() {
+        elements.appTitle.textContent = state.pinnedProfiles.length === 1
+            ? getProfile(state.pinnedProfiles[0]).name
+            : 'Sveriges Radio';
+    }
+
+    function updateDateDisplay() {
+        const options = {
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long',
+            timeZone: CONFIG.TIMEZONE
+        };
+        elements.dateDisplay.textContent = new Date().toLocaleDateString('sv-SE', options);
+    }
+
+    /**
+     * "offline — data från 09:14" while any pinned profile shows stale data
+     */
+    function updateOfflineIndicator() {
+        const stale = state.pinnedProfiles.map(getProfileState).filter(profileState => profileState.stale);
+        elements.offlineIndicator.hidden = stale.length === 0;
+        if (stale.length === 0) return;
+
+        const times = stale.map(profileState => profileState.updatedAt).filter(Boolean);
+        if (times.length === 0) {
+            elements.offlineIndicator.textContent = 'offline';
+            return;
+        }
+
+        const oldest = new Date(Math.min(...times));
+        const { hour, minute } = getStockholmHourMinute(oldest);
+        const day = oldest.toLocaleDateString('sv-SE', { timeZone: CONFIG.TIMEZONE });
+        const when = day === getStockholmDate()
+            ? padTime(hour, minute)
+            : `${formatDayLabel(day, true)} ${padTime(hour, minute)}`;
+        elements.offlineIndicator.textContent = `offline — data från ${when}`;
+    }
+
+    function getNowPlayingTitle() {
+        const name = `${getProfile(state.currentProfile).name} ${state.currentSlot}`;
+        if (state.isLive) return `${name} — LIVE`;
+        if (state.currentDate) return `${name} · ${formatDayLabel(state.currentDate, true)}`;
+        return name;
+    }
+
+    function updateNowPlaying() {
+        elements.nowPlaying.textContent = getNowPlayingTitle();
+        elements.playerContainer.classList.remove('remote');
+        updateMediaSessionMetadata();
+        updateQueueDisplay();
+        announcePlayback();
+    }
+
+    // --- Catch-up queue ---
+
+    function isListened(broadcast) {
+        const entry = getPosition(broadcast);
+        return !!(entry && entry.listened);
+    }
+
+    /**
+     * Today's unheard broadcasts across pinned profiles, oldest first
+     */
+    function getUnheardBroadcasts() {
+        const unheard = [];
+        state.pinnedProfiles.forEach(profileId => {
+            Object.values(getProfileState(profileId).broadcasts).forEach(broadcast => {
+                if (!isListened(broadcast)) {
+                    unheard.push({ profileId, slot: broadcast.slot, timestamp: broadcast.timestamp });
+                }
+            });
+        });
+        return unheard.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    function getQueueItem() {
+        const queue = state.queue;
+        return queue ? queue.items[queue.index] : null;
+    }
+
+    function isPlayingQueueItem() {
+        const item = getQueueItem();
+        return !!item && !state.isLive && !state.currentDate &&
+            item.profileId === state.currentProfile && item.slot === state.currentSlot;
+    }
+
+    function startCatchUp(order) {
+        const items = getUnheardBroadcasts();
+        if (order === 'newest') items.reverse();
+
+        if (items.length === 0) {
+            const live = findPinnedLiveSlot();
+            if (live) {
+                showStatus('Du har hört allt — byter till live');
+                playLiveStream(live.profileId, live.slot);
+            } else {
+                showStatus('Du har hört alla dagens sändningar');
+            }
+            return;
+        }
+
+        state.queue = { items, index: 0, order };
+        playBroadcast(items[0].profileId, items[0].slot);
+    }
+
+    function clearQueue() {
+        state.queue = null;
+        updateQueueDisplay();
+    }
+
+    /**
+     * Move to the next queued broadcast. At the end, pick up anything
+     * published meanwhile, then switch to a live slot if there is one.
+     * Returns true if playback continued.
+     */
+    function advanceQueue() {
+        if (!state.queue) return false;
+        const queue = state.queue;
+
+        queue.index++;
+        if (queue.index >= queue.items.length) {
+            const queued = new Set(queue.items.map(item => `${item.profileId}/${item.slot}`));
+            const added = getUnheardBroadcasts()
+                .filter(item => !queued.has(`${item.profileId}/${item.slot}`));
+            queue.items = queue.items.concat(added);
+        }
+
+        const next = getQueueItem();
+        if (next) {
+            playBroadcast(next.profileId, next.slot);
+            return true;
+        }
+
+        state.queue = null;
+        const live = findPinnedLiveSlot();
+        if (live) {
+            showStatus('Ikapp — byter till live', false, 4000);
+            playLiveStream(live.profileId, live.slot);
+            return true;
+        }
+
+        showStatus('Du är ikapp');
+        updateQueueDisplay();
+        return false;
+    }
+
+    function updateQueueDisplay() {
+        // Playing something else by hand ends the queue
+        if (state.queue && state.currentSlot && !isPlayingQueueItem()) {
+            state.queue = null;
+        }
+
+        const queue = state.queue;
+        elements.queuePosition.hidden = !queue;
+        elements.catchUpButton.classList.toggle('active', !!queue);
+        if (queue) {
+            elements.queuePosition.textContent = `${queue.index + 1} av ${queue.items.length}`;
+        }
+    }
+
+    function renderCatchUpMenu() {
+        const options = [
+            { label: 'Äldst först', action: () => startCatchUp('oldest') },
+            { label: 'Nyast först', action: () => startCatchUp('newest') }
+        ];
+        if (state.queue) {
+            options.push({ label: 'Avsluta ikapp-läge', action: clearQueue });
+        }
+
+        elements.catchUpMenu.innerHTML = '';
+        options.forEach(({ label, action }) => {
+            const option = document.createElement('button');
+            option.className = 'player-menu-option';
+            option.textContent = label;
+            option.addEventListener('click', () => {
+                elements.catchUpMenu.hidden = true;
+                action();
+            });
+            elements.catchUpMenu.appendChild(option);
+        });
+    }
+
+    function toggleCatchUpMenu() {
+        const open = elements.catchUpMenu.hidden;
+        if (open) renderCatchUpMenu();
+        elements.catchUpMenu.hidden = !open;
+    }
+
+    // --- Archive ---
+
+    function isSheetOpen(sheet) {
+        return sheet.classList.contains('visible');
+    }
+
+    function openSheet(sheet) {
+        sheet.classList.add('visible');
+        sheet.setAttribute('aria-hidden', 'false');
+    }
+
+    function closeSheet(sheet) {
+        sheet.classList.remove('visible');
+        sheet.setAttribute('aria-hidden', 'true');
+    }
+
+    function renderArchive() {
+        const multi = state.pinnedProfiles.length > 1;
+        const dateSet = new Set();
+        state.pinnedProfiles.forEach(profileId => {
+            Object.keys(getProfileState(profileId).archive).forEach(date => dateSet.add(date));
+        });
+        const dates = Array.from(dateSet).sort().reverse();
+
+        elements.archiveList.innerHTML = '';
+
+        if (dates.length === 0 && !state.archiveLoading) {
+            const empty = document.createElement('p');
+            empty.className = 'sheet-empty';
+            empty.textContent = 'Inga tidigare sändningar hittades';
+            elements.archiveList.appendChild(empty);
+        }
+
+        dates.forEach(date => {
+            const section = document.createElement('section');
+            section.className = 'archive-day';
+
+            const heading = document.createElement('h3');
+            heading.textContent = formatDayLabel(date);
+            section.appendChild(heading);
+
+            state.pinnedProfiles.forEach(profileId => {
+                const day = getProfileState(profileId).archive[date] || {};
+                const slots = Object.keys(day).sort();
+                if (slots.length === 0) return;
+
+                if (multi) {
+                    const label = document.createElement('p');
+                    label.className = 'archive-profile';
+                    label.textContent = getProfile(profileId).name;
+                    section.appendChild(label);
+                }
+
+                const row = document.createElement('div');
+                row.className = 'archive-slots';
+
+                slots.forEach(slot => {
+                    const button = document.createElement('button');
+                    button.className = 'archive-slot';
+                    button.textContent = slot;
+                    button.classList.toggle('playing', state.currentProfile === profileId &&
+                        state.currentSlot === slot && state.currentDate === date);
+                    const entry = getPosition(day[slot]);
+                    button.classList.toggle('listened', !!(entry && entry.listened));
+                    addLongPress(button, () => openBroadcastDetails(profileId, slot, date));
+                    button.addEventListener('click', () => {
+                        playBroadcast(profileId, slot, date);
+                        closeSheet(elements.archiveSheet);
+                    });
+                    row.appendChild(button);
+                });
+
+                section.appendChild(row);
+            });
+
+            elements.archiveList.appendChild(section);
+        });
+
+        const hasMore = state.pinnedProfiles.some(id => getProfileState(id).archiveHasMore);
+        elements.archiveMore.hidden = !hasMore;
+        elements.archiveMore.disabled = state.archiveLoading;
+        elements.archiveMore.textContent = state.archiveLoading ? 'Hämtar…' : 'Visa fler';
+    }
+
+    /**
+     * Load the next podfiles page for every pinned profile
+     */
+    async function loadMoreArchive() {
+        if (state.archiveLoading) return;
+
+        const profileIds = state.pinnedProfiles.filter(id => getProfileState(id).archiveHasMore);
+        if (profileIds.length === 0) return;
+
+        state.archiveLoading = true;
+        renderArchive();
+
+        await Promise.all(profileIds.map(async profileId => {
+            const profileState = getProfileState(profileId);
+            try {
+                const page = profileState.archivePage + 1;
+                const { days, hasMore } = await fetchPodfiles(profileId, page);
+                mergeArchive(profileId, days, getStockholmDate());
+                profileState.archivePage = page;
+                profileState.archiveHasMore = hasMore;
+            } catch (error) {
+                console.error('Failed to fetch archive page:', error);
+                showStatus('Kunde inte hämta äldre sändningar', true);
+            }
+        }));
+
+        state.archiveLoading = false;
+        renderArchive();
+    }
+
+    function openArchive() {
+        renderArchive();
+        openSheet(elements.archiveSheet);
+        const empty = state.pinnedProfiles.every(id =>
+            Object.keys(getProfileState(id).archive).length === 0);
+        if (empty) {
+            loadMoreArchive();
+        }
+    }
+
+    // --- Broadcast details ---
+
+    /**
+     * Sheet with the API's description, length and file size of a
+     * broadcast, opened by a long press on its tile or archive slot
+     */
+    function openBroadcastDetails(profileId, slot, date = null) {
+        const broadcast = getBroadcast(profileId, slot, date);
+        if (!broadcast) return;
+        state.detailBroadcast = { profileId, slot, date };
+
+        const artwork = getProfileArtwork(profileId);
+        const image = broadcast.image || (artwork && artwork.tile);
+        elements.broadcastImage.hidden = !image;
+        if (image) elements.broadcastImage.src = image;
+        elements.broadcastTitle.textContent = broadcast.title || `${getProfile(profileId).name} ${slot}`;
+
+        const facts = [`${formatDayLabel(date || getStockholmDate(), true)} ${slot}`];
+        if (broadcast.duration) facts.push(formatDuration(broadcast.duration));
+        if (broadcast.fileSize) facts.push(formatBytes(broadcast.fileSize));
+        elements.broadcastMeta.textContent = facts.join(' \u00B7 ');
+
+        elements.broadcastDescription.textContent = broadcast.description || 'Ingen beskrivning.';
+
+        const resumeAt = getResumePosition(broadcast);
+        elements.broadcastPlay.textContent = resumeAt > 0 ? `Fortsätt från ${formatTime(resumeAt)}` : 'Spela';
+
+        openSheet(elements.broadcastSheet);
+    }
+
+    function playDetailBroadcast() {
+        const { profileId, slot, date } = state.detailBroadcast;
+        closeSheet(elements.broadcastSheet);
+        playBroadcast(profileId, slot, date);
+    }
+
+    // --- Profile picker ---
+
+    function renderProfiles() {
+        elements.profilesList.innerHTML = '';
+
+        Object.values(PROFILES).forEach(profile => {
+            const pinned = state.pinnedProfiles.includes(profile.id);
+
+            const row = document.createElement('label');
+            row.className = 'sheet-field profile-item';
+
+            const name = document.createElement('span');
+            name.textContent = profile.name;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = pinned;
+            // The last pinned profile can't be removed
+            checkbox.disabled = pinned && state.pinnedProfiles.length === 1;
+            checkbox.addEventListener('change', () => {
+                setProfilePinned(profile.id, checkbox.checked);
+            });
+
+            row.appendChild(name);
+            row.appendChild(checkbox);
+            elements.profilesList.appendChild(row);
+        });
+    }
+
+    async function setProfilePinned(profileId, pinned) {
+        if (pinned && !state.pinnedProfiles.includes(profileId)) {
+            // Keep the order profiles are listed in
+            state.pinnedProfiles = Object.keys(PROFILES)
+                .filter(id => id === profileId || state.pinnedProfiles.includes(id));
+        } else if (!pinned && state.pinnedProfiles.length > 1) {
+            state.pinnedProfiles = state.pinnedProfiles.filter(id => id !== profileId);
+            stopPolling(profileId);
+        }
+
+        savePinnedProfiles();
+        renderProfiles();
+        renderTiles();
+        updateOfflineIndicator();
+
+        if (pinned) {
+            loadProfileArtwork(profileId);
+            await updateBroadcasts(profileId, true);
+            schedulePoll(profileId);
+        }
+    }
+
+    function openProfiles() {
+        renderProfiles();
+        openSheet(elements.profilesSheet);
+    }
+
+    // --- Storage view ---
+
+    async function renderStorage() {
+        await refreshDownloads();
+
+        if (navigator.storage && navigator.storage.estimate) {
+            const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+            elements.storageUsage.textContent = `${formatBytes(usage)} av ${formatBytes(quota)} används`;
+            elements.storageFill.style.width = quota ? `${Math.min(100, (usage / quota) * 100)}%` : '0%';
+        } else {
+            elements.storageUsage.textContent = 'Lagringsinformation saknas';
+            elements.storageFill.style.width = '0%';
+        }
+
+        elements.storageRetention.value = String(state.downloadRetentionDays);
+
+        const urls = Object.keys(state.downloaded)
+            .sort((a, b) => state.downloaded[b].downloadedAt - state.downloaded[a].downloadedAt);
+
+        elements.storageList.innerHTML = '';
+        elements.storageClear.hidden = urls.length === 0;
+
+        if (urls.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'sheet-empty';
+            empty.textContent = downloadsSupported
+                ? 'Inga nedladdade sändningar'
+                : 'Nedladdning stöds inte i den här webbläsaren';
+            elements.storageList.appendChild(empty);
+            return;
+        }
+
+        const dayMs = 24 * 60 * 60 * 1000;
+        urls.forEach(url => {
+            const entry = state.downloaded[url];
+            const daysLeft = Math.max(0, Math.ceil(
+                (entry.downloadedAt + state.downloadRetentionDays * dayMs - Date.now()) / dayMs
+            ));
+
+            const row = document.createElement('div');
+            row.className = 'storage-item';
+
+            const play = document.createElement('button');
+            play.className = 'storage-play';
+            const title = document.createElement('span');
+            title.className = 'storage-title';
+            title.textContent = `${getProfile(entry.profileId).name} ${entry.slot}`;
+            const meta = document.createElement('span');
+            meta.className = 'storage-meta';
+            meta.textContent = `${formatDayLabel(entry.date, true)} · ${formatBytes(entry.size)} · tas bort om ${daysLeft} d`;
+            play.appendChild(title);
+            play.appendChild(meta);
+            play.addEventListener('click', () => playDownload(url));
+
+            const remove = document.createElement('button');
+            remove.className = 'storage-delete';
+            remove.setAttribute('aria-label', 'Ta bort');
+            remove.textContent = '\u2715';
+            remove.addEventListener('click', async () => {
+                await deleteDownload(url);
+                renderStorage();
+            });
+
+            row.appendChild(play);
+            row.appendChild(remove);
+            elements.storageList.appendChild(row);
+        });
+    }
+
+    /**
+     * Play a download even if the API no longer lists it (e.g. offline)
+     */
+    function playDownload(url) {
+        const entry = state.downloaded[url];
+        if (!entry || !entry.slot) return;
+
+        const profileId = PROFILES[entry.profileId] ? entry.profileId : 'ekot';
+        const date = entry.date && entry.date !== getStockholmDate() ? entry.date : null;
+        if (!getBroadcast(profileId, entry.slot, date)) {
+            // Downloads saved before the publish date was: noon on their day
+            const pubDate = entry.pubDate ||
+                `/Date(${entry.date ? Date.parse(`${entry.date}T12:00:00Z`) : entry.downloadedAt})/`;
+            const broadcast = {
+                id: entry.id || null,
+                profileId,
+                title: `${getProfile(profileId).name} ${entry.slot}`,
+                pubDate,
+                timestamp: parseSrDate(pubDate).getTime(),
+                audioUrl: url,
+                slot: entry.slot
+            };
+            if (date) {
+                mergeArchive(profileId, { [date]: { [entry.slot]: broadcast } }, null);
+            } else {
+                getProfileState(profileId).broadcasts[entry.slot] = broadcast;
+            }
+        }
+
+        playBroadcast(profileId, entry.slot, date);
+        closeSheet(elements.storageSheet);
+    }
+
+    function openStorage() {
+        openSheet(elements.storageSheet);
+        renderStorage();
+    }
+
+    // --- New-broadcast notifications ---
+
+    function loadNotifySlots() {
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(CONFIG.NOTIFY_KEY));
+        } catch (e) {
+            saved = null;
+        }
+        state.notifySlots = {};
+        if (!saved || typeof saved !== 'object') return;
+        Object.keys(saved).forEach(profileId => {
+            if (PROFILES[profileId] && Array.isArray(saved[profileId])) {
+                state.notifySlots[profileId] = saved[profileId];
+            }
+        });
+    }
+
+    function wantsNotification(profileId, slot) {
+        return (state.notifySlots[profileId] || []).includes(slot);
+    }
+
+    /**
+     * Slots offered in the notification sheet: every schedule table, the
+     * day's derived slots and any slot already chosen
+     */
+    function getNotifiableSlots(profileId) {
+        const profile = getProfile(profileId);
+        const times = new Set(getDaySlots(profileId).concat(state.notifySlots[profileId] || []));
+        const tables = [profile.slots].concat(Object.values(profile.schedule || {}));
+        tables.forEach(table => table.forEach(slot => times.add(slot.time)));
+        return Array.from(times).sort();
+    }
+
+    /**
+     * Notification choices and already-notified broadcast ids, kept in the
+     * Cache API so the service worker can check for news in the background
+     */
+    async function readNotifyState() {
+        try {
+            const cache = await caches.open(CONFIG.STATE_CACHE);
+            const response = await cache.match(CONFIG.NOTIFY_STATE_URL);
+            if (response) return await response.json();
+        } catch (e) {
+            console.log('Could not read notification state:', e);
+        }
+        return { profiles: [], notified: [] };
+    }
+
+    /**
+     * The service worker is the only writer of the notification state: send
+     * it the watched profiles and/or broadcast ids to count as notified
+     */
+    async function sendNotifyUpdate(update) {
+        const registration = await navigator.serviceWorker.ready;
+        registration.active.postMessage(Object.assign({ type: 'notify-update' }, update));
+    }
+
+    /**
+     * Mirror the chosen slots to the service worker, with what it needs to
+     * recognise them in the API response, and (un)register background checks
+     */
+    async function syncNotifyState(notified = []) {
+        const profiles = Object.keys(state.notifySlots)
+            .filter(profileId => state.notifySlots[profileId].length > 0)
+            .map(profileId => {
+                const profile = getProfile(profileId);
+                return {
+                    id: profile.id,
+                    name: profile.name,
+                    programId: profile.programId,
+                    titlePattern: profile.titlePattern ? profile.titlePattern.source : null,
+                    defaultSlot: profile.defaultSlot || null,
+                    slots: state.notifySlots[profileId]
+                };
+            });
+        await sendNotifyUpdate({ profiles, notified });
+        await updatePeriodicSync(profiles.length > 0);
+    }
+
+    // Periodic Background Sync is Chromium-only and needs an installed app
+    async function updatePeriodicSync(enabled) {
+        const registration = await navigator.serviceWorker.ready;
+        if (!registration.periodicSync) return;
+
+        try {
+            if (enabled) {
+                await registration.periodicSync.register(CONFIG.NOTIFY_SYNC_TAG, {
+                    minInterval: CONFIG.NOTIFY_SYNC_INTERVAL
+                });
+            } else {
+                await registration.periodicSync.unregister(CONFIG.NOTIFY_SYNC_TAG);
+            }
+        } catch (e) {
+            console.log('Periodic background sync unavailable:', e);
+        }
+    }
+
+    async function setSlotNotify(profileId, slot, enabled) {
+        if (enabled && Notification.permission !== 'granted') {
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                showStatus('Notiser är blockerade i webbläsaren', true);
+                renderNotifications();
+                return;
+            }
+        }
+
+        const slots = (state.notifySlots[profileId] || []).filter(time => time !== slot);
+        if (enabled) slots.push(slot);
+        state.notifySlots[profileId] = slots.sort();
+        localStorage.setItem(CONFIG.NOTIFY_KEY, JSON.stringify(state.notifySlots));
+
+        renderNotifications();
+
+        // Already out when chosen: nothing to announce, now or in the background
+        const published = enabled && getBroadcast(profileId, slot);
+        await syncNotifyState(published ? [getPositionKey(published)] : []);
+    }
+
+    /**
+     * Show a notification for newly published broadcasts the user asked
+     * about. Skipped while the app is on screen; the tile says it all.
+     */
+    async function notifyNewBroadcasts(profileId, broadcasts) {
+        if (!notificationsSupported || Notification.permission !== 'granted') return;
+        if (document.visibilityState === 'visible') return;
+
+        const wanted = broadcasts.filter(broadcast => wantsNotification(profileId, broadcast.slot));
+        if (wanted.length === 0) return;
+
+        const notifyState = await readNotifyState();
+        const registration = await navigator.serviceWorker.ready;
+        const profile = getProfile(profileId);
+        const notified = [];
+
+        for (const broadcast of wanted) {
+            const key = broadcast.id || broadcast.audioUrl;
+            // The service worker may already have announced it
+            if (notifyState.notified.includes(key)) continue;
+
+            await registration.showNotification(broadcast.title, {
+                body: `${profile.name} — ny sändning. Tryck för att lyssna.`,
+                tag: `broadcast-${key}`,
+                icon: './assets/icon-192x192.png',
+                data: { profileId, slot: broadcast.slot, date: srDateToStockholmDate(broadcast.pubDate) }
+            });
+            notified.push(key);
+        }
+
+        if (notified.length > 0) await sendNotifyUpdate({ notified });
+    }
+
+    /**
+     * Start a broadcast asked for by a notification tap (via ?play= or a
+     * message from the service worker)
+     */
+    async function playRequestedBroadcast(profileId, slot, date) {
+        if (!PROFILES[profileId] || !slot) return;
+        if (date === getStockholmDate()) date = null;
+
+        if (!getBroadcast(profileId, slot, date)) {
+            await updateBroadcasts(profileId, true);
+        }
+        playBroadcast(profileId, slot, date);
+    }
+
+    function renderNotifications() {
+        elements.notificationsList.innerHTML = '';
+
+        if (!notificationsSupported) {
+            elements.notificationsHint.textContent = 'Den här webbläsaren stöder inte notiser.';
+            return;
+        }
+
+        elements.notificationsHint.textContent = Notification.permission === 'denied'
+            ? 'Notiser är blockerade. Tillåt dem i webbläsarens inställningar.'
+            : 'Få en notis när en vald sändning har publicerats.';
+
+        state.pinnedProfiles.forEach(profileId => {
+            const profile = getProfile(profileId);
+
+            if (state.pinnedProfiles.length > 1) {
+                const heading = document.createElement('h3');
+                heading.className = 'archive-profile';
+                heading.textContent = profile.name;
+                elements.notificationsList.appendChild(heading);
+            }
+
+            getNotifiableSlots(profileId).forEach(time => {
+                const row = document.createElement('label');
+                row.className = 'sheet-field profile-item';
+
+                const name = document.createElement('span');
+                name.textContent = `${profile.name} ${time}`;
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = wantsNotification(profileId, time);
+                checkbox.disabled = Notification.permission === 'denied';
+                checkbox.addEventListener('change', () => {
+                    setSlotNotify(profileId, time, checkbox.checked);
+                });
+
+                row.appendChild(name);
+                row.appendChild(checkbox);
+                elements.notificationsList.appendChild(row);
+            });
+        });
+    }
+
+    function openNotifications() {
+        renderNotifications();
+        openSheet(elements.notificationsSheet);
+    }
+
+    function setupNotifications() {
+        if (!('serviceWorker' in navigator)) return;
+
+        // Notification tapped while the app was already open
+        navigator.serviceWorker.addEventListener('message', event => {
+            const data = event.data || {};
+            if (data.type === 'play') {
+                playRequestedBroadcast(data.profileId, data.slot, data.date);
+            }
+        });
+
+        // Re-mirror choices in case the browser evicted the state cache
+        if (notificationsSupported && Object.keys(state.notifySlots).length > 0) {
+            syncNotifyState();
+        }
+    }
+
+    // --- Deep links and sharing ---
+
+    /**
+     * Parse a broadcast link hash: #2026-10-19/12:30?t=250, with &p=<profile>
+     * for programs other than the default
+     */
+    function parseBroadcastLink(hash) {
+        const [path, query = ''] = hash.replace(/^#/, '').split('?');
+        const match = path.match(/^(\d{4}-\d{2}-\d{2})\/(\d{2}:\d{2})$/);
+        if (!match) return null;
+
+        const params = new URLSearchParams(query);
+        const seconds = Number(params.get('t'));
+        return {
+            profileId: params.get('p') || CONFIG.DEFAULT_PROFILES[0],
+            date: match[1],
+            slot: match[2],
+            startAt: Number.isFinite(seconds) && seconds > 0 ? Math.floor(seconds) : null
+        };
+    }
 
-            const timeLabel = document.createElement('span');
-            timeLabel.className = 'tile-time';
-            timeLabel.textContent = slot;
+    function buildBroadcastLink(profileId, slot, date, seconds) {
+        const params = new URLSearchParams();
+        if (seconds > 0) params.set('t', String(Math.floor(seconds)));
+        if (profileId !== CONFIG.DEFAULT_PROFILES[0]) params.set('p', profileId);
+        const query = params.toString();
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = `${date}/${slot}${query ? `?${query}` : ''}`;
+        return url.href;
+    }
 
-            tile.appendChild(icon);
-            tile.appendChild(timeLabel);
+    /**
+     * Page back through the archive until the date is loaded or passed
+     */
+    async function loadArchiveDate(profileId, date) {
+        const profileState = getProfileState(profileId);
+        let pages = 0;
+        while (!profileState.archive[date] && profileState.archiveHasMore && pages < CONFIG.LINK_ARCHIVE_PAGES) {
+            const oldest = Object.keys(profileState.archive).sort()[0];
+            if (oldest && oldest < date) return;
+
+            const page = profileState.archivePage + 1;
+            const { days, hasMore } = await fetchPodfiles(profileId, page);
+            mergeArchive(profileId, days, getStockholmDate());
+            profileState.archivePage = page;
+            profileState.archiveHasMore = hasMore;
+            pages++;
+        }
+    }
 
-            if (isActive) {
-                tile.addEventListener('click', () => playBroadcast(slot));
-            } else if (isLive) {
-                tile.addEventListener('click', () => playLiveStream(slot));
+    /**
+     * Open a broadcast link: today's slot (live from the start if the
+     * podcast isn't out yet) or an archived day, at the linked position
+     */
+    async function playLinkedBroadcast({ profileId, date, slot, startAt }) {
+        if (!PROFILES[profileId]) {
+            showStatus('Länken gäller ett okänt program', true);
+            return;
+        }
+
+        if (date === getStockholmDate()) {
+            if (!getBroadcast(profileId, slot)) await updateBroadcasts(profileId, true);
+            if (!getBroadcast(profileId, slot) && isSlotLiveNow(profileId, slot)) {
+                playLiveStream(profileId, slot, { fromStart: true });
+                showStatus('Podden är inte ute än — spelar live från början', false, 4000);
+                return;
+            }
+        } else {
+            try {
+                await loadArchiveDate(profileId, date);
+            } catch (error) {
+                console.error('Failed to fetch archive for link:', error);
+            }
+        }
+
+        if (!getBroadcast(profileId, slot, date === getStockholmDate() ? null : date)) {
+            showStatus(`Hittade inte ${getProfile(profileId).name} ${slot} ${formatDayLabel(date, true)}`, true);
+            return;
+        }
+        playBroadcast(profileId, slot, date, { startAt });
+    }
+
+    /**
+     * Play the link in the address bar, then drop it so a reload doesn't repeat it
+     */
+    async function handleLocationLink() {
+        const link = parseBroadcastLink(window.location.hash);
+        if (!link) return;
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        await playLinkedBroadcast(link);
+    }
+
+    async function shareCurrentBroadcast() {
+        if (!state.currentSlot || state.isLive) return;
+
+        const seconds = elements.audioPlayer.currentTime;
+        const date = state.currentDate || getStockholmDate();
+        const url = buildBroadcastLink(state.currentProfile, state.currentSlot, date, seconds);
+        const title = getNowPlayingTitle();
+        const text = seconds >= 1 ? `Lyssna på ${title} från ${formatTime(seconds)}` : `Lyssna på ${title}`;
+
+        if (navigator.share) {
+            try {
+                await navigator.share({ title, text, url });
+                return;
+            } catch (error) {
+                // Closing the share sheet isn't a failure
+                if (error.name === 'AbortError') return;
+                console.log('Share failed, copying instead:', error);
             }
+        }
+
+        try {
+            await navigator.clipboard.writeText(url);
+            showStatus('Länken är kopierad');
+        } catch (error) {
+            showStatus('Kunde inte dela länken', true);
+        }
+    }
+
+    // --- Launch shortcuts ---
 
-            elements.tilesContainer.appendChild(tile);
+    /**
+     * The unfinished broadcast listened to most recently, among loaded days
+     */
+    function findResumableBroadcast() {
+        let best = null;
+        state.pinnedProfiles.forEach(profileId => {
+            const profileState = getProfileState(profileId);
+            const days = [[null, profileState.broadcasts]].concat(Object.entries(profileState.archive));
+            days.forEach(([date, broadcasts]) => {
+                Object.keys(broadcasts).forEach(slot => {
+                    const entry = getPosition(broadcasts[slot]);
+                    if (!entry || entry.listened || entry.position < CONFIG.POSITION_MIN_RESUME) return;
+                    if (!best || entry.updatedAt > best.updatedAt) {
+                        best = { profileId, slot, date, updatedAt: entry.updatedAt };
+                    }
+                });
+            });
         });
+        return best;
+    }
 
-        updateDateDisplay();
+    /**
+     * Run a home-screen shortcut action (manifest shortcuts open ./?action=…)
+     */
+    function runLaunchAction(action) {
+        const actions = {
+            latest: () => {
+                const latest = findLatestPinnedBroadcast();
+                if (!latest) return 'Inga sändningar idag ännu';
+                playBroadcast(latest.profileId, latest.slot);
+            },
+            live: () => {
+                const live = findPinnedLiveSlot();
+                if (!live) return 'Inget sänds live just nu';
+                playLiveStream(live.profileId, live.slot);
+            },
+            resume: () => {
+                const resumable = findResumableBroadcast();
+                if (!resumable) return 'Inget påbörjat att fortsätta med';
+                playBroadcast(resumable.profileId, resumable.slot, resumable.date);
+            }
+        };
+
+        if (!actions[action]) return;
+        const failure = actions[action]();
+        if (failure) showStatus(failure, false, 4000);
     }
 
-    function updateDateDisplay() {
-        const options = {
-            weekday: 'long',
-            day: 'numeric',
-            month: 'long',
-            timeZone: CONFIG.TIMEZONE
+    // --- Alarm ---
+
+    // Monday first, as JS weekday numbers (0 = Sunday)
+    const ALARM_DAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+    const ALARM_DAY_LABELS = ['sö', 'må', 'ti', 'on', 'to', 'fr', 'lö'];
+    const ALARM_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+    function loadAlarm() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(CONFIG.ALARM_KEY));
+        } catch (error) {
+            console.log('Could not read alarm:', error);
+        }
+
+        const alarm = Object.assign({}, CONFIG.ALARM_DEFAULT, saved);
+        state.alarm = {
+            enabled: alarm.enabled === true,
+            time: ALARM_TIME_PATTERN.test(alarm.time) ? alarm.time : CONFIG.ALARM_DEFAULT.time,
+            days: Array.isArray(alarm.days)
+                ? alarm.days.filter(day => ALARM_DAY_ORDER.includes(day))
+                : CONFIG.ALARM_DEFAULT.days.slice(),
+            // Stockholm date it last went off, so a reload doesn't repeat it
+            firedOn: typeof alarm.firedOn === 'string' ? alarm.firedOn : null
         };
-        elements.dateDisplay.textContent = new Date().toLocaleDateString('sv-SE', options);
+    }
+
+    function saveAlarm() {
+        localStorage.setItem(CONFIG.ALARM_KEY, JSON.stringify(state.alarm));
+    }
+
+    function getWeekday(dateStr) {
+        return new Date(`${dateStr}T12:00:00Z`).getUTCDay();
+    }
+
+    /**
+     * Minutes since today's alarm time (negative before it)
+     */
+    function getMinutesPastAlarm() {
+        const { hour, minute } = getStockholmHourMinute();
+        return hour * 60 + minute - parseSlotMinutes(state.alarm.time);
+    }
+
+    /**
+     * Days from today until the alarm next goes off, or null with no days chosen
+     */
+    function getNextAlarmOffset() {
+        const alarm = state.alarm;
+        const today = getStockholmDate();
+        const doneToday = alarm.firedOn === today || getMinutesPastAlarm() > 0;
+
+        for (let offset = doneToday ? 1 : 0; offset <= 7; offset++) {
+            if (alarm.days.includes((getWeekday(today) + offset) % 7)) return offset;
+        }
+        return null;
+    }
+
+    function formatNextAlarm() {
+        const offset = getNextAlarmOffset();
+        if (offset === null) return null;
+        if (offset === 0) return `idag ${state.alarm.time}`;
+        if (offset === 1) return `imorgon ${state.alarm.time}`;
+        const date = new Date(`${getStockholmDate()}T12:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + offset);
+        return `${formatDayLabel(date.toISOString().slice(0, 10), true)} ${state.alarm.time}`;
+    }
+
+    /**
+     * With several tabs open, a visible tab (the one keeping the screen
+     * awake) plays the alarm. A hidden polling tab waits one check before
+     * taking over, and the other hidden tabs one more in case it's frozen
+     * or discarded; whichever fires tells the others.
+     */
+    function checkAlarm() {
+        const alarm = state.alarm;
+        if (!alarm.enabled) return;
+
+        const today = getStockholmDate();
+        if (alarm.firedOn === today || !alarm.days.includes(getWeekday(today))) return;
+
+        const late = getMinutesPastAlarm();
+        if (late < 0 || late > CONFIG.ALARM_GRACE_MINUTES) return;
+
+        if (document.visibilityState !== 'visible') {
+            const wait = CONFIG.ALARM_CHECK_INTERVAL * (state.isPollLeader ? 1 : 2);
+            if (!state.alarmDueAt) state.alarmDueAt = Date.now();
+            if (Date.now() - state.alarmDueAt < wait) return;
+        }
+
+        state.alarmDueAt = null;
+        markAlarmFired(today);
+        postTabMessage({ type: 'alarm', date: today });
+        fireAlarm();
+    }
+
+    function markAlarmFired(date) {
+        state.alarm.firedOn = date;
+        saveAlarm();
+        updateAlarmIndicator();
+    }
+
+    /**
+     * Play the newest broadcast, or the live stream from the start when
+     * its podcast isn't out yet, fading the volume up
+     */
+    async function fireAlarm() {
+        // Already listening: leave it alone
+        if (!elements.audioPlayer.paused) return;
+
+        // The podcast may have been published since the last poll
+        await Promise.all(state.pinnedProfiles.map(profileId => updateBroadcasts(profileId, true)));
+
+        const live = findPinnedLiveSlot();
+        const latest = findLatestPinnedBroadcast();
+        if (live) {
+            playLiveStream(live.profileId, live.slot, { fromStart: true });
+        } else if (latest) {
+            playBroadcast(latest.profileId, latest.slot);
+        } else {
+            showStatus('Väckning: inga sändningar att spela', true);
+            return;
+        }
+        rampFadeLevel(0, 1, CONFIG.ALARM_RAMP_MS);
+        showStatus(`Väckning ${state.alarm.time}`, false, 4000);
+    }
+
+    /**
+     * Keep the screen (and so the page) awake while an alarm is armed.
+     * The browser drops the lock whenever the page is hidden.
+     */
+    async function updateWakeLock() {
+        if (!('wakeLock' in navigator)) return;
+
+        const wanted = state.alarm.enabled && document.visibilityState === 'visible';
+        if (wanted && !state.wakeLock) {
+            try {
+                const lock = await navigator.wakeLock.request('screen');
+                lock.addEventListener('release', () => {
+                    if (state.wakeLock === lock) state.wakeLock = null;
+                    updateAlarmIndicator();
+                });
+                state.wakeLock = lock;
+            } catch (error) {
+                console.log('Could not acquire wake lock:', error);
+            }
+        } else if (!wanted && state.wakeLock) {
+            const lock = state.wakeLock;
+            state.wakeLock = null;
+            lock.release();
+        }
+        updateAlarmIndicator();
+    }
+
+    function updateAlarmIndicator() {
+        const alarm = state.alarm;
+        const armed = alarm.enabled && alarm.days.length > 0;
+        elements.alarmIndicator.hidden = !armed;
+        elements.alarmIndicator.textContent = `⏰ ${alarm.time}`;
+        elements.alarmIndicator.classList.toggle('no-wake-lock', armed && !state.wakeLock);
+        if (isSheetOpen(elements.alarmSheet)) renderAlarm();
+    }
+
+    function renderAlarm() {
+        const alarm = state.alarm;
+        elements.alarmEnabled.checked = alarm.enabled;
+        elements.alarmTime.value = alarm.time;
+        elements.alarmDays.querySelectorAll('.alarm-day').forEach(button => {
+            const selected = alarm.days.includes(Number(button.dataset.day));
+            button.classList.toggle('selected', selected);
+            button.setAttribute('aria-pressed', String(selected));
+        });
+
+        const next = formatNextAlarm();
+        let status;
+        if (!alarm.enabled) {
+            status = 'Väckningen är avstängd.';
+        } else if (!next) {
+            status = 'Välj minst en dag.';
+        } else if (!('wakeLock' in navigator)) {
+            status = `Nästa: ${next}. Webbläsaren kan inte hålla skärmen tänd — stäng av skärmsläckning på enheten.`;
+        } else {
+            status = `Nästa: ${next}. ${state.wakeLock ? 'Skärmen hålls tänd.' : 'Skärmen hålls tänd när appen visas.'}`;
+        }
+        elements.alarmStatus.textContent = status;
+    }
+
+    /**
+     * Apply an edit from the alarm sheet. A time already passed today
+     * counts as done, so editing doesn't set the alarm off at once.
+     */
+    function updateAlarm(changes) {
+        Object.assign(state.alarm, changes);
+        state.alarm.firedOn = getMinutesPastAlarm() > 0 ? getStockholmDate() : null;
+        saveAlarm();
+        updateWakeLock();
+        updateAlarmIndicator();
+    }
+
+    function openAlarm() {
+        renderAlarm();
+        openSheet(elements.alarmSheet);
+    }
+
+    function setupAlarm() {
+        elements.alarmDays.innerHTML = '';
+        ALARM_DAY_ORDER.forEach(day => {
+            const button = document.createElement('button');
+            button.className = 'alarm-day';
+            button.dataset.day = String(day);
+            button.textContent = ALARM_DAY_LABELS[day];
+            button.addEventListener('click', () => {
+                const days = state.alarm.days.includes(day)
+                    ? state.alarm.days.filter(other => other !== day)
+                    : state.alarm.days.concat(day);
+                updateAlarm({ days });
+            });
+            elements.alarmDays.appendChild(button);
+        });
+
+        elements.alarmEnabled.addEventListener('change', () => {
+            updateAlarm({ enabled: elements.alarmEnabled.checked });
+        });
+        elements.alarmTime.addEventListener('change', () => {
+            if (!ALARM_TIME_PATTERN.test(elements.alarmTime.value)) {
+                elements.alarmTime.value = state.alarm.time;
+                return;
+            }
+            updateAlarm({ time: elements.alarmTime.value });
+        });
+        elements.alarmIndicator.addEventListener('click', openAlarm);
+
+        document.addEventListener('visibilitychange', () => {
+            updateWakeLock();
+            if (document.visibilityState === 'visible') checkAlarm();
+        });
+        setInterval(checkAlarm, CONFIG.ALARM_CHECK_INTERVAL);
+
+        updateAlarmIndicator();
+        updateWakeLock();
     }
 
     // --- Audio playback ---
 
-    function playBroadcast(slot) {
-        const broadcast = state.broadcasts[slot];
+    /**
+     * Drop a resume seek still waiting for metadata, so it can't land
+     * on whatever is loaded next
+     */
+    function clearPendingResume() {
+        if (!state.pendingResume) return;
+        elements.audioPlayer.removeEventListener('loadedmetadata', state.pendingResume);
+        state.pendingResume = null;
+    }
+
+    /**
+     * Load and play a broadcast. Options: autoplay (default true) and
+     * startAt, a position that overrides the saved resume point.
+     */
+    function playBroadcast(profileId, slot, date = null, { autoplay = true, startAt = null } = {}) {
+        if (date === getStockholmDate()) date = null;
+
+        const broadcast = getBroadcast(profileId, slot, date);
         if (!broadcast || !broadcast.audioUrl) {
             showStatus('Ingen sändning tillgänglig', true);
             return;
         }
 
+        switchHistorySession(profileId, slot, date, 'podcast');
         stopAudioFocusKeepAlive();
         clearLiveStallTimer();
+        clearLiveEndTimer();
+        cancelFade();
 
+        state.currentProfile = profileId;
         state.currentSlot = slot;
+        state.currentDate = date;
         state.isLive = false;
-        state.isPaused = false;
+        state.isPaused = !autoplay;
         updatePlayerForLiveMode(false);
 
+        clearPendingResume();
+        const resumeAt = startAt !== null ? startAt : getResumePosition(broadcast);
+        if (resumeAt > 0) {
+            state.pendingResume = () => {
+                state.pendingResume = null;
+                // Starting at the very end would end it, and mark it heard, at once
+                const duration = elements.audioPlayer.duration;
+                if (isFinite(duration) && resumeAt >= duration - CONFIG.LISTENED_THRESHOLD) return;
+                elements.audioPlayer.currentTime = resumeAt;
+            };
+            elements.audioPlayer.addEventListener('loadedmetadata', state.pendingResume, { once: true });
+            showStatus(`Fortsätter från ${formatTime(resumeAt)}`);
+        }
+
+        stopHlsPlayer();
         elements.audioPlayer.src = broadcast.audioUrl;
-        elements.audioPlayer.play().catch(error => {
-            console.error('Playback error:', error);
-            showStatus('Kunde inte spela upp ljudet', true);
-        });
+        applyPlaybackRate();
+        if (autoplay) {
+            elements.audioPlayer.play().catch(error => {
+                console.error('Playback error:', error);
+                // Started without a user gesture, e.g. from a notification
+                if (error.name === 'NotAllowedError') {
+                    showStatus('Tryck \u25B6 för att lyssna');
+                } else {
+                    showStatus('Kunde inte spela upp ljudet', true);
+                }
+            });
+        }
 
-        updateMediaSessionMetadata(slot);
-        elements.nowPlaying.textContent = `Ekot ${slot}`;
+        updateNowPlaying();
         renderTiles();
+        loadChapters(profileId, broadcast);
     }
 
     function stopPlayback() {
+        clearPendingResume();
         stopAudioFocusKeepAlive();
         clearLiveStallTimer();
+        clearLiveEndTimer();
+        recordPosition(true);
         elements.audioPlayer.pause();
+        stopHlsPlayer();
         elements.audioPlayer.src = '';
+        state.currentProfile = null;
         state.currentSlot = null;
+        state.currentDate = null;
         state.isLive = false;
         state.isPaused = false;
+        clearQueue();
         updatePlayerForLiveMode(false);
         elements.nowPlaying.textContent = 'Ingen uppspelning';
         elements.playPauseIcon.textContent = '\u25B6';
@@ -542,6 +3549,8 @@
         elements.duration.textContent = '0:00';
         elements.progressFill.style.width = '0%';
         renderTiles();
+        announcePlayback();
+        updateRemotePlayback();
     }
 
     function startAudioFocusKeepAlive() {
@@ -556,7 +3565,7 @@
             console.log('Audio focus timeout reached, releasing');
             stopAudioFocusKeepAlive();
             stopPlayback();
-        }, CONFIG.AUDIO_FOCUS_TIMEOUT);
+        }, state.settings.audioFocusMinutes * 60000);
     }
 
     function stopAudioFocusKeepAlive() {
@@ -569,24 +3578,33 @@
     }
 
     function togglePlayPause() {
+        // Nothing loaded here: control what another tab is playing
+        if (!state.currentSlot && state.remotePlayback) {
+            sendTabCommand('toggle');
+            return;
+        }
+
         if (!elements.audioPlayer.src) {
-            const liveSlot = findLiveSlot();
-            const latestSlot = findLatestBroadcast();
-            if (liveSlot) {
-                playLiveStream(liveSlot);
-            } else if (latestSlot) {
-                playBroadcast(latestSlot);
+            const live = findPinnedLiveSlot();
+            const latest = findLatestPinnedBroadcast();
+            const preferLatest = state.settings.playDefault === 'latest' && latest;
+            if (live && !preferLatest) {
+                playLiveStream(live.profileId, live.slot);
+            } else if (latest) {
+                playBroadcast(latest.profileId, latest.slot);
             } else {
                 showStatus('Inga sändningar idag ännu');
             }
             return;
         }
 
+        cancelFade();
+
         if (elements.audioPlayer.paused) {
             stopAudioFocusKeepAlive();
             if (state.isLive) {
                 // Always reconnect — old connection likely dead after background
-                playLiveStream(state.currentSlot);
+                playLiveStream(state.currentProfile, state.currentSlot);
             } else {
                 elements.audioPlayer.play().catch(error => {
                     console.error('Playback error:', error);
@@ -604,6 +3622,10 @@
     }
 
     function skipTime(seconds) {
+        if (!state.currentSlot && state.remotePlayback) {
+            sendTabCommand('skip', seconds);
+            return;
+        }
         if (!elements.audioPlayer.src) return;
         const range = getPlaybackRange();
         if (!range) return;
@@ -649,7 +3671,7 @@
             const total = range.end - range.start;
             if (state.isLive) {
                 const behind = total * (1 - percent);
-                elements.currentTime.textContent = behind < 5 ? 'LIVE' : '\u2212' + formatTime(behind);
+                elements.currentTime.textContent = behind < CONFIG.LIVE_EDGE_THRESHOLD ? 'LIVE' : '\u2212' + formatTime(behind);
             } else {
                 elements.currentTime.textContent = formatTime(percent * total);
             }
@@ -678,15 +3700,19 @@
                 (seekable.end(seekable.length - 1) - seekable.start(0)) > 15;
             elements.playerContainer.classList.toggle('live-seekable', hasRange);
 
-            if (seekable.length === 0) return;
+            if (seekable.length === 0) {
+                elements.currentTime.textContent = formatTime(getLiveBroadcastOffset());
+                return;
+            }
 
             const start = seekable.start(0);
             const end = seekable.end(seekable.length - 1);
             const current = elements.audioPlayer.currentTime;
             const behind = end - current;
 
-            elements.currentTime.textContent = behind < 5 ? 'LIVE' : '\u2212' + formatTime(behind);
-            elements.duration.textContent = 'LIVE';
+            // Time into the broadcast, then how far behind live we are
+            elements.currentTime.textContent = formatTime(getLiveBroadcastOffset());
+            elements.duration.textContent = behind < CONFIG.LIVE_EDGE_THRESHOLD ? 'LIVE' : '\u2212' + formatTime(behind);
 
             const total = end - start;
             if (total > 0) {
@@ -706,81 +3732,389 @@
         }
     }
 
+    // --- Chapters ---
+
+    /**
+     * Fetch a broadcast's stories from the episode API: the episode whose
+     * podfile is this broadcast, and its segments as [{ title, start }]
+     */
+    async function fetchChapters(profileId, broadcast) {
+        const profile = getProfile(profileId);
+        const date = srDateToStockholmDate(broadcast.pubDate);
+        const response = await fetch(`${CONFIG.API_BASE}/episodes/index?programid=${profile.programId}` +
+            `&fromdate=${date}&todate=${date}&format=json&pagination=false`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+
+        const episode = (data.episodes || []).find(item =>
+            [item.listenpodfile, item.downloadpodfile].some(podfile => podfile && String(podfile.id) === broadcast.id));
+        if (!episode || !Array.isArray(episode.segments)) return [];
+
+        return episode.segments
+            .map(segment => ({
+                title: (segment.title || '').trim(),
+                start: Number(segment.offsetinseconds)
+            }))
+            .filter(chapter => chapter.title && Number.isFinite(chapter.start) && chapter.start >= 0)
+            .sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Load chapters for the broadcast just started. Results are kept per
+     * broadcast; a failed fetch is retried next time it's played.
+     */
+    async function loadChapters(profileId, broadcast) {
+        if (!broadcast.id) return;
+        const key = getPositionKey(broadcast);
+
+        if (!state.chapterCache[key]) {
+            state.chapterCache[key] = fetchChapters(profileId, broadcast).catch(error => {
+                console.log('Could not load chapters:', error);
+                delete state.chapterCache[key];
+                return [];
+            });
+        }
+        const chapters = await state.chapterCache[key];
+
+        // Something else may have started while the request was out
+        const current = !state.isLive && getBroadcast(state.currentProfile, state.currentSlot, state.currentDate);
+        if (!current || getPositionKey(current) !== key) return;
+        state.chapters = chapters;
+        renderChapters();
+    }
+
+    function getChapterDuration() {
+        const duration = elements.audioPlayer.duration;
+        if (duration && isFinite(duration)) return duration;
+        const broadcast = getBroadcast(state.currentProfile, state.currentSlot, state.currentDate);
+        return broadcast && broadcast.duration;
+    }
+
+    /**
+     * Index of the chapter playing now, or -1 before the first one
+     */
+    function getCurrentChapterIndex() {
+        const current = elements.audioPlayer.currentTime || 0;
+        let index = -1;
+        state.chapters.forEach((chapter, i) => {
+            if (chapter.start <= current + 0.5) index = i;
+        });
+        return index;
+    }
+
+    function renderChapters() {
+        const duration = getChapterDuration();
+        elements.chapterMarkers.innerHTML = '';
+        if (duration) {
+            state.chapters.forEach(chapter => {
+                if (chapter.start <= 0 || chapter.start >= duration) return;
+                const marker = document.createElement('span');
+                marker.className = 'chapter-marker';
+                marker.style.left = `${(chapter.start / duration) * 100}%`;
+                elements.chapterMarkers.appendChild(marker);
+            });
+        }
+        updateChaptersButton();
+        if (isSheetOpen(elements.chaptersSheet)) renderChapterList();
+    }
+
+    function updateChaptersButton() {
+        const count = state.chapters.length;
+        elements.chaptersButton.hidden = count === 0;
+        if (count === 0) return;
+        const index = getCurrentChapterIndex();
+        elements.chaptersButton.textContent = index >= 0 ? `Kapitel ${index + 1}/${count}` : 'Kapitel';
+    }
+
+    function renderChapterList() {
+        const currentIndex = getCurrentChapterIndex();
+        elements.chapterList.innerHTML = '';
+        state.chapters.forEach((chapter, index) => {
+            const button = document.createElement('button');
+            button.className = 'chapter-item';
+            button.classList.toggle('current', index === currentIndex);
+
+            const time = document.createElement('span');
+            time.className = 'chapter-time';
+            time.textContent = formatTime(chapter.start);
+            const title = document.createElement('span');
+            title.textContent = chapter.title;
+
+            button.appendChild(time);
+            button.appendChild(title);
+            button.addEventListener('click', () => {
+                seekToChapter(index);
+                closeSheet(elements.chaptersSheet);
+            });
+            elements.chapterList.appendChild(button);
+        });
+    }
+
+    function seekToChapter(index) {
+        const chapter = state.chapters[index];
+        if (!chapter || !state.currentSlot || state.isLive) return;
+        elements.audioPlayer.currentTime = chapter.start;
+        updateProgress();
+        updateChaptersButton();
+    }
+
+    /**
+     * Next or previous story. Going back restarts the current story
+     * unless it has only just begun, like a track skip.
+     */
+    function stepChapter(direction) {
+        const index = getCurrentChapterIndex();
+        if (direction > 0) {
+            if (index + 1 < state.chapters.length) seekToChapter(index + 1);
+            return;
+        }
+
+        const chapter = state.chapters[index];
+        if (chapter && elements.audioPlayer.currentTime - chapter.start > CONFIG.CHAPTER_RESTART_SECONDS) {
+            seekToChapter(index);
+        } else if (index > 0) {
+            seekToChapter(index - 1);
+        } else {
+            elements.audioPlayer.currentTime = 0;
+            updateProgress();
+        }
+    }
+
+    function hasChapters() {
+        return !state.isLive && state.chapters.length > 0;
+    }
+
+    function openChapters() {
+        renderChapterList();
+        openSheet(elements.chaptersSheet);
+    }
+
     // --- Event listeners ---
 
     function setupAudioListeners() {
         elements.audioPlayer.addEventListener('play', () => {
+            postTabMessage({ type: 'play' });
+            resumeAudioGraph();
             elements.playPauseIcon.textContent = '\u23F8';
             state.isPaused = false;
             renderTiles();
+            reportPlaybackState();
+            announcePlayback();
+            startHistorySession();
         });
 
         elements.audioPlayer.addEventListener('pause', () => {
             elements.playPauseIcon.textContent = '\u25B6';
             if (state.currentSlot) {
+                recordPosition(true);
                 state.isPaused = true;
                 renderTiles();
             }
+            reportPlaybackState();
+            announcePlayback();
+            endHistorySession();
         });
 
         elements.audioPlayer.addEventListener('timeupdate', () => {
+            // Drop back to 1x once live playback catches up with the edge
+            if (state.isLive) applyPlaybackRate();
             updateProgress();
             updateMediaSessionPosition();
+            recordPosition();
+            updateHistorySession();
+            updateChaptersButton();
+            checkSleepAtEnd();
+            updateSleepButton();
+        });
+
+        elements.audioPlayer.addEventListener('seeked', applyPlaybackRate);
+
+        // The live end follows the position heard, so retime it when that moves
+        ['seeked', 'ratechange', 'playing'].forEach(type => {
+            elements.audioPlayer.addEventListener(type, () => {
+                if (!state.isLive) return;
+                scheduleLiveEnd();
+                scheduleSleepAtLiveEnd();
+            });
         });
 
+        // Keep lock-screen scrubbers in step with the actual rate
+        elements.audioPlayer.addEventListener('ratechange', updateMediaSessionPosition);
+
         elements.audioPlayer.addEventListener('loadedmetadata', () => {
             if (!state.isLive) {
                 elements.duration.textContent = formatTime(elements.audioPlayer.duration);
+                renderChapters();
             }
             updateMediaSessionPosition();
+            // Loaded in CORS mode: the normaliser can route it now
+            if (state.normalise) resumeAudioGraph();
         });
 
         elements.audioPlayer.addEventListener('ended', () => {
+            if (state.sleepTimer && state.sleepTimer.endOfBroadcast) clearSleepTimer();
+            const finished = !state.isLive &&
+                getBroadcast(state.currentProfile, state.currentSlot, state.currentDate);
+            if (finished) markListened(finished);
+            endHistorySession();
+
+            if (isPlayingQueueItem() && advanceQueue()) return;
+            clearQueue();
+
+            state.currentProfile = null;
             state.currentSlot = null;
+            state.currentDate = null;
             state.isLive = false;
             elements.playPauseIcon.textContent = '\u25B6';
             elements.progressFill.style.width = '0%';
             updatePlayerForLiveMode(false);
             renderTiles();
+            reportPlaybackState();
+            announcePlayback();
         });
 
         elements.audioPlayer.addEventListener('error', () => {
+            if (fallBackFromCors()) return;
             if (state.isLive) {
-                clearLiveStallTimer();
-                state.liveStreamIndex++;
-                tryNextLiveStream();
+                const error = elements.audioPlayer.error;
+                failOverLiveStream(`error: ${error ? `${error.code} ${error.message}`.trim() : 'okänt'}`);
                 return;
             }
             showStatus('Fel vid uppspelning', true);
             stopPlayback();
         });
 
-        // Stalled: browser stopped receiving data on live stream
-        elements.audioPlayer.addEventListener('stalled', () => {
-            if (state.isLive && !state.liveStallTimer) {
-                state.liveStallTimer = setTimeout(() => {
-                    console.log('Live stream stalled during playback');
-                    state.liveStreamIndex++;
-                    tryNextLiveStream();
-                }, CONFIG.LIVE_STALL_TIMEOUT);
+        // Stalled: browser stopped receiving data on live stream
+        elements.audioPlayer.addEventListener('stalled', () => {
+            if (state.isLive && !state.liveStallTimer) {
+                state.liveStallTimer = setTimeout(() => {
+                    failOverLiveStream('stalled under uppspelning');
+                }, CONFIG.LIVE_STALL_TIMEOUT);
+            }
+        });
+    }
+
+    function setupControlListeners() {
+        elements.playPause.addEventListener('click', togglePlayPause);
+        elements.skipBack.addEventListener('click', () => skipTime(-state.settings.skipSeconds));
+        elements.skipForward.addEventListener('click', () => skipTime(state.settings.skipSeconds));
+
+        // Speed: tap cycles, long press opens the full list
+        elements.speedButton.addEventListener('click', cyclePlaybackRate);
+        addLongPress(elements.speedButton, openSpeedMenu);
+        elements.sleepButton.addEventListener('click', toggleSleepMenu);
+        elements.volumeButton.addEventListener('click', toggleVolumeMenu);
+        elements.volumeSlider.addEventListener('input', () => {
+            setVolume(Number(elements.volumeSlider.value));
+        });
+        elements.normaliseToggle.addEventListener('click', () => setNormalise(!state.normalise));
+        elements.fromStartButton.addEventListener('click', seekLiveToStart);
+        elements.shareButton.addEventListener('click', shareCurrentBroadcast);
+        elements.chaptersButton.addEventListener('click', openChapters);
+        elements.catchUpButton.addEventListener('click', toggleCatchUpMenu);
+
+        // Tapping outside a player menu closes it
+        document.addEventListener('click', event => {
+            if (!elements.speedMenu.contains(event.target) && event.target !== elements.speedButton) {
+                closeSpeedMenu();
+            }
+            if (!elements.sleepMenu.contains(event.target) && event.target !== elements.sleepButton) {
+                elements.sleepMenu.hidden = true;
+            }
+            if (!elements.volumeMenu.contains(event.target) && event.target !== elements.volumeButton) {
+                elements.volumeMenu.hidden = true;
+            }
+            if (!elements.catchUpMenu.contains(event.target) && event.target !== elements.catchUpButton) {
+                elements.catchUpMenu.hidden = true;
+            }
+        });
+
+        // Seekbar: mouse drag
+        elements.progressBar.addEventListener('mousedown', onSeekStart);
+        document.addEventListener('mousemove', onSeekMove);
+        document.addEventListener('mouseup', onSeekEnd);
+
+        // Seekbar: touch drag
+        elements.progressBar.addEventListener('touchstart', onSeekStart, { passive: false });
+        document.addEventListener('touchmove', onSeekMove, { passive: false });
+        document.addEventListener('touchend', onSeekEnd);
+    }
+
+    function setupSheetListeners() {
+        const sheetOpeners = {
+            profilesSheet: openProfiles,
+            storageSheet: openStorage,
+            liveQualitySheet: openLiveQuality,
+            notificationsSheet: openNotifications,
+            settingsSheet: openSettings,
+            alarmSheet: openAlarm,
+            historySheet: openHistory
+        };
+
+        elements.archiveButton.addEventListener('click', openArchive);
+        elements.archiveMore.addEventListener('click', loadMoreArchive);
+        elements.menuButton.addEventListener('click', () => {
+            openSheet(document.getElementById('menuSheet'));
+        });
+
+        document.querySelectorAll('[data-close-sheet]').forEach(button => {
+            button.addEventListener('click', () => closeSheet(button.closest('.sheet')));
+        });
+
+        // Menu entries open another sheet in place of the menu
+        document.querySelectorAll('[data-open-sheet]').forEach(button => {
+            button.addEventListener('click', () => {
+                closeSheet(button.closest('.sheet'));
+                sheetOpeners[button.dataset.openSheet]();
+            });
+        });
+
+        elements.storageRetention.innerHTML = '';
+        CONFIG.DOWNLOAD_RETENTION_OPTIONS.forEach(days => {
+            const option = document.createElement('option');
+            option.value = String(days);
+            option.textContent = days === 1 ? '1 dag' : `${days} dagar`;
+            elements.storageRetention.appendChild(option);
+        });
+        elements.storageRetention.addEventListener('change', async () => {
+            state.downloadRetentionDays = Number(elements.storageRetention.value);
+            localStorage.setItem(CONFIG.DOWNLOAD_RETENTION_KEY, String(state.downloadRetentionDays));
+            await purgeExpiredDownloads();
+            renderStorage();
+        });
+
+        elements.diagnosticsRefresh.addEventListener('click', renderDiagnostics);
+        elements.diagnosticsCopy.addEventListener('click', copyDiagnostics);
+
+        elements.liveQuality.addEventListener('change', () => {
+            state.liveQuality = elements.liveQuality.value;
+            localStorage.setItem(CONFIG.LIVE_QUALITY_KEY, state.liveQuality);
+            renderLiveQuality();
+            // Takes effect on the next connect; restart a running stream now
+            if (state.isLive && !elements.audioPlayer.paused) {
+                playLiveStream(state.currentProfile, state.currentSlot);
             }
         });
-    }
 
-    function setupControlListeners() {
-        elements.playPause.addEventListener('click', togglePlayPause);
-        elements.skipBack.addEventListener('click', () => skipTime(-15));
-        elements.skipForward.addEventListener('click', () => skipTime(15));
+        elements.settingsForm.addEventListener('change', (event) => {
+            updateSetting(event.target);
+        });
+        elements.settingsForm.addEventListener('submit', (event) => event.preventDefault());
+        elements.settingsReset.addEventListener('click', resetSettings);
 
-        // Seekbar: mouse drag
-        elements.progressBar.addEventListener('mousedown', onSeekStart);
-        document.addEventListener('mousemove', onSeekMove);
-        document.addEventListener('mouseup', onSeekEnd);
+        elements.broadcastPlay.addEventListener('click', playDetailBroadcast);
+        elements.historyExportJson.addEventListener('click', () => exportHistory('json'));
+        elements.historyExportCsv.addEventListener('click', () => exportHistory('csv'));
+        elements.historyClear.addEventListener('click', clearHistory);
 
-        // Seekbar: touch drag
-        elements.progressBar.addEventListener('touchstart', onSeekStart, { passive: false });
-        document.addEventListener('touchmove', onSeekMove, { passive: false });
-        document.addEventListener('touchend', onSeekEnd);
+        elements.storageClear.addEventListener('click', async () => {
+            await caches.delete(CONFIG.AUDIO_CACHE);
+            await refreshDownloads();
+            renderTiles();
+            renderStorage();
+        });
     }
 
     // --- Media Session API ---
@@ -791,7 +4125,7 @@
         navigator.mediaSession.setActionHandler('play', () => {
             stopAudioFocusKeepAlive();
             if (state.isLive) {
-                playLiveStream(state.currentSlot);
+                playLiveStream(state.currentProfile, state.currentSlot);
             } else {
                 elements.audioPlayer.play();
             }
@@ -806,15 +4140,28 @@
             }
         });
 
-        navigator.mediaSession.setActionHandler('previoustrack', () => skipTime(-15));
-        navigator.mediaSession.setActionHandler('nexttrack', () => skipTime(15));
+        // Step between stories when the broadcast has chapters
+        navigator.mediaSession.setActionHandler('previoustrack', () => {
+            if (hasChapters()) {
+                stepChapter(-1);
+            } else {
+                skipTime(-state.settings.skipSeconds);
+            }
+        });
+        navigator.mediaSession.setActionHandler('nexttrack', () => {
+            if (hasChapters()) {
+                stepChapter(1);
+            } else {
+                skipTime(state.settings.skipSeconds);
+            }
+        });
 
         navigator.mediaSession.setActionHandler('seekbackward', (details) => {
-            skipTime(-(details.seekOffset || 15));
+            skipTime(-(details.seekOffset || state.settings.skipSeconds));
         });
 
         navigator.mediaSession.setActionHandler('seekforward', (details) => {
-            skipTime(details.seekOffset || 15);
+            skipTime(details.seekOffset || state.settings.skipSeconds);
         });
 
         navigator.mediaSession.setActionHandler('seekto', (details) => {
@@ -828,19 +4175,15 @@
         navigator.mediaSession.setActionHandler('stop', () => stopPlayback());
     }
 
-    function updateMediaSessionMetadata(slot) {
+    function updateMediaSessionMetadata() {
         if (!('mediaSession' in navigator)) return;
 
-        const title = state.isLive ? `Ekot ${slot} — LIVE` : `Ekot ${slot}`;
+        const artwork = getProfileArtwork(state.currentProfile) || PROFILES.ekot.artwork;
         navigator.mediaSession.metadata = new MediaMetadata({
-            title,
+            title: getNowPlayingTitle(),
             artist: 'Sveriges Radio',
-            album: 'Ekot',
-            artwork: [
-                { src: 'assets/icon-96x96.png', sizes: '96x96', type: 'image/png' },
-                { src: 'assets/icon-192x192.png', sizes: '192x192', type: 'image/png' },
-                { src: 'assets/icon-512x512.png', sizes: '512x512', type: 'image/png' }
-            ]
+            album: getProfile(state.currentProfile).name,
+            artwork: artwork.session
         });
     }
 
@@ -863,15 +4206,707 @@
         }
     }
 
+    // --- Diagnostics ---
+
+    function recordFailover(url, reason) {
+        console.log('Live stream failover:', url, reason);
+        const failovers = state.diagnostics.failovers;
+        failovers.push({ time: Date.now(), url, reason });
+        if (failovers.length > CONFIG.DIAGNOSTICS_HISTORY) failovers.shift();
+    }
+
+    function recordApiFetch(profileId, url, status, fetchedAt = null) {
+        state.diagnostics.apiFetches[profileId] = { time: Date.now(), url, status, fetchedAt };
+    }
+
+    function formatClockTime(time) {
+        return new Date(time).toLocaleTimeString('sv-SE', { timeZone: CONFIG.TIMEZONE });
+    }
+
+    function formatRanges(ranges) {
+        const parts = [];
+        for (let i = 0; i < ranges.length; i++) {
+            parts.push(`${ranges.start(i).toFixed(1)}–${ranges.end(i).toFixed(1)}`);
+        }
+        return parts.length > 0 ? parts.join(', ') : 'inga';
+    }
+
+    /**
+     * Cache name of the service worker controlling the page
+     */
+    function getServiceWorkerVersion() {
+        const controller = 'serviceWorker' in navigator && navigator.serviceWorker.controller;
+        if (!controller) return Promise.resolve('ingen');
+
+        return new Promise(resolve => {
+            const channel = new MessageChannel();
+            const timer = setTimeout(() => resolve('svarar inte'), 1000);
+            channel.port1.onmessage = event => {
+                clearTimeout(timer);
+                resolve(event.data.cacheName);
+            };
+            controller.postMessage({ type: 'get-version' }, [channel.port2]);
+        });
+    }
+
+    async function buildDiagnosticsReport() {
+        const audio = elements.audioPlayer;
+        const diagnostics = state.diagnostics;
+        const stream = state.isLive ? state.liveStreams[state.liveStreamIndex] : null;
+        const lines = [
+            `Ekot PWA v${VERSION}`,
+            `Tid: ${new Date().toLocaleString('sv-SE', { timeZone: CONFIG.TIMEZONE })}`,
+            `Service worker: ${await getServiceWorkerVersion()}`,
+            `Webbläsare: ${navigator.userAgent}`,
+            '',
+            'Uppspelning',
+            `  Läge: ${state.currentSlot ? getNowPlayingTitle() : 'ingen'}`,
+            `  Källa: ${stream ? stream.url : (audio.currentSrc || 'ingen')}`
+        ];
+        if (state.hlsPlayer) lines.push('  Spelare: HLS via Media Source Extensions');
+        if (state.liveStreamInfo && state.isLive) lines.push(`  Ström: ${formatStreamInfo(state.liveStreamInfo)}`);
+        lines.push(`  Ljud: volym ${Math.round(state.volume * 100)} %, utjämning ${state.normalise ? 'på' : 'av'}${state.audioGraph ? ` (Web Audio ${state.audioGraph.context.state})` : ''}`);
+        lines.push(
+            `  Position: ${audio.currentTime.toFixed(1)} s, ${audio.paused ? 'pausad' : 'spelar'}, readyState ${audio.readyState}, networkState ${audio.networkState}`,
+            `  Buffrat: ${formatRanges(audio.buffered)}`,
+            `  Sökbart: ${formatRanges(audio.seekable)}`,
+            '',
+            'API'
+        );
+
+        state.pinnedProfiles.forEach(profileId => {
+            const apiFetch = diagnostics.apiFetches[profileId];
+            const interval = diagnostics.pollIntervals[profileId];
+            const cached = apiFetch && apiFetch.fetchedAt ? ` (cache från ${formatClockTime(apiFetch.fetchedAt)})` : '';
+            lines.push(
+                `  ${getProfile(profileId).name}: ${apiFetch ? `${formatClockTime(apiFetch.time)} ${apiFetch.status}${cached}` : 'inte hämtat'}`,
+                `    Pollintervall: ${interval ? `${Math.round(interval / 1000)} s` : (state.isPollLeader ? '–' : 'hämtas av en annan flik')}`
+            );
+        });
+
+        lines.push('', 'Byten av liveström');
+        if (diagnostics.failovers.length === 0) lines.push('  inga');
+        diagnostics.failovers.forEach(({ time, url, reason }) => {
+            lines.push(`  ${formatClockTime(time)} ${url || '–'}: ${reason}`);
+        });
+
+        return lines.join('\n');
+    }
+
+    async function renderDiagnostics() {
+        elements.diagnosticsReport.textContent = await buildDiagnosticsReport();
+    }
+
+    async function copyDiagnostics() {
+        try {
+            await navigator.clipboard.writeText(elements.diagnosticsReport.textContent);
+            showStatus('Rapporten är kopierad');
+        } catch (error) {
+            // No clipboard access: select the text so it can be copied by hand
+            window.getSelection().selectAllChildren(elements.diagnosticsReport);
+            showStatus('Kunde inte kopiera — texten är markerad', true);
+        }
+    }
+
+    function openDiagnostics() {
+        renderDiagnostics();
+        openSheet(elements.diagnosticsSheet);
+    }
+
+    // --- Listening history ---
+
+    const historySupported = 'indexedDB' in window;
+
+    function openHistoryDb() {
+        if (!state.historyDb) {
+            state.historyDb = new Promise((resolve, reject) => {
+                const request = indexedDB.open(CONFIG.HISTORY_DB, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(CONFIG.HISTORY_STORE, { keyPath: 'id' });
+                    store.createIndex('startedAt', 'startedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return state.historyDb;
+    }
+
+    /**
+     * Run one request against the history store, resolving with its result
+     * once the transaction completes
+     */
+    async function historyRequest(mode, run) {
+        const db = await openHistoryDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(CONFIG.HISTORY_STORE, mode);
+            const request = run(transaction.objectStore(CONFIG.HISTORY_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            // A full disk at commit or a closing browser aborts without an error event
+            transaction.onabort = () => reject(transaction.error || new Error('History transaction aborted'));
+        });
+    }
+
+    function saveHistoryEntry(entry) {
+        if (!historySupported) return;
+        historyRequest('readwrite', store => store.put(entry)).catch(error => {
+            console.log('Could not save history:', error);
+        });
+    }
+
+    async function getHistoryEntries(since = 0) {
+        if (!historySupported) return [];
+        return historyRequest('readonly', store =>
+            store.index('startedAt').getAll(IDBKeyRange.lowerBound(since)));
+    }
+
+    async function purgeHistory() {
+        if (!historySupported) return;
+        const cutoff = Date.now() - CONFIG.HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        try {
+            const expired = await historyRequest('readonly', store =>
+                store.index('startedAt').getAllKeys(IDBKeyRange.upperBound(cutoff, true)));
+            await Promise.all(expired.map(id => historyRequest('readwrite', store => store.delete(id))));
+        } catch (error) {
+            console.log('Could not purge history:', error);
+        }
+    }
+
+    /**
+     * A listening session starts on play and ends on pause or ended.
+     * Time counts in wall-clock seconds, so 1.5× still logs real time.
+     */
+    function startHistorySession() {
+        if (!state.currentSlot || state.historySession) return;
+        state.historySession = {
+            id: `${Date.now()}-${TAB_ID}`,
+            profileId: state.currentProfile,
+            slot: state.currentSlot,
+            date: state.currentDate || getStockholmDate(),
+            source: state.isLive ? 'live' : 'podcast',
+            startedAt: Date.now(),
+            listenedSeconds: 0,
+            finished: false,
+            // The live window end: hearing up to it counts as finished.
+            // liveLag is how far behind the wall clock the position heard is
+            liveEndsAt: state.isLive ? getLiveWindowEnd() : null,
+            liveLag: 0,
+            segmentStart: Date.now()
+        };
+        writeHistorySession();
+    }
+
+    function writeHistorySession() {
+        const session = state.historySession;
+        const now = Date.now();
+        session.listenedSeconds += (now - session.segmentStart) / 1000;
+        session.segmentStart = now;
+        state.lastHistorySave = now;
+
+        const entry = Object.assign({}, session);
+        delete entry.segmentStart;
+        delete entry.liveEndsAt;
+        delete entry.liveLag;
+        entry.listenedSeconds = Math.round(entry.listenedSeconds);
+        saveHistoryEntry(entry);
+    }
+
+    /**
+     * Keep the open session's record current in case the tab is closed
+     */
+    function updateHistorySession() {
+        const session = state.historySession;
+        if (!session) return;
+        if (session.source === 'live' && state.isLive) session.liveLag = Date.now() - getLivePlaybackClock();
+        if (Date.now() - state.lastHistorySave >= CONFIG.HISTORY_SAVE_INTERVAL) writeHistorySession();
+    }
+
+    function endHistorySession() {
+        const session = state.historySession;
+        if (!session) return;
+
+        if (session.source === 'live') {
+            session.finished = Date.now() - session.liveLag >= session.liveEndsAt - CONFIG.SLEEP_FADE_MS;
+        } else {
+            const broadcast = getBroadcast(session.profileId, session.slot,
+                session.date === getStockholmDate() ? null : session.date);
+            session.finished = isListened(broadcast);
+        }
+        writeHistorySession();
+        state.historySession = null;
+    }
+
+    /**
+     * A new source is loaded without a pause event: close the open session
+     * when it was for something else, so its time isn't logged against this
+     */
+    function switchHistorySession(profileId, slot, date, source) {
+        const session = state.historySession;
+        if (!session) return;
+        const same = session.profileId === profileId && session.slot === slot &&
+            session.date === (date || getStockholmDate()) && session.source === source;
+        if (!same) endHistorySession();
+    }
+
+    function summariseHistory(entries) {
+        const broadcasts = new Set(entries.map(entry => `${entry.profileId}/${entry.date}/${entry.slot}`));
+        const seconds = entries.reduce((sum, entry) => sum + entry.listenedSeconds, 0);
+        return `${broadcasts.size} ${broadcasts.size === 1 ? 'sändning' : 'sändningar'}, ${formatDuration(seconds)}`;
+    }
+
+    /**
+     * The last days' known broadcasts, each marked heard, started or missed
+     */
+    async function renderHistory() {
+        const today = getStockholmDate();
+        const days = [];
+        for (let offset = 0; offset < CONFIG.HISTORY_DAYS_SHOWN; offset++) {
+            const date = new Date(`${today}T12:00:00Z`);
+            date.setUTCDate(date.getUTCDate() - offset);
+            days.push(date.toISOString().slice(0, 10));
+        }
+
+        let entries = [];
+        try {
+            entries = await getHistoryEntries(Date.now() - (CONFIG.HISTORY_DAYS_SHOWN + 1) * 24 * 60 * 60 * 1000);
+        } catch (error) {
+            console.log('Could not read history:', error);
+        }
+
+        elements.historySummary.textContent = historySupported
+            ? `Idag: ${summariseHistory(entries.filter(entry => entry.date === today))}. ` +
+              `Senaste ${CONFIG.HISTORY_DAYS_SHOWN} dagarna: ${summariseHistory(entries.filter(entry => days.includes(entry.date)))}.`
+            : 'Historik stöds inte i den här webbläsaren.';
+
+        elements.historyList.innerHTML = '';
+        days.forEach(date => {
+            const section = document.createElement('section');
+            section.className = 'archive-day';
+            const heading = document.createElement('h3');
+            heading.textContent = formatDayLabel(date);
+            section.appendChild(heading);
+
+            state.pinnedProfiles.forEach(profileId => {
+                const profileState = getProfileState(profileId);
+                const broadcasts = date === today ? profileState.broadcasts : profileState.archive[date] || {};
+                Object.keys(broadcasts).sort().forEach(slot => {
+                    const sessions = entries.filter(entry =>
+                        entry.profileId === profileId && entry.date === date && entry.slot === slot);
+                    const seconds = sessions.reduce((sum, entry) => sum + entry.listenedSeconds, 0);
+
+                    const row = document.createElement('div');
+                    row.className = 'history-item';
+                    const title = document.createElement('span');
+                    title.textContent = `${getProfile(profileId).name} ${slot}`;
+                    const status = document.createElement('span');
+                    status.className = 'history-status';
+                    if (sessions.some(entry => entry.finished)) {
+                        status.textContent = `hörd · ${formatDuration(seconds)}`;
+                        status.classList.add('heard');
+                    } else if (sessions.length > 0) {
+                        status.textContent = `påbörjad · ${formatDuration(seconds)}`;
+                    } else {
+                        status.textContent = 'missad';
+                        status.classList.add('missed');
+                    }
+                    row.appendChild(title);
+                    row.appendChild(status);
+                    section.appendChild(row);
+                });
+            });
+
+            if (section.childElementCount > 1) elements.historyList.appendChild(section);
+        });
+    }
+
+    function downloadFile(name, type, content) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function toCsv(entries) {
+        const columns = ['startedAt', 'program', 'date', 'slot', 'source', 'listenedSeconds', 'finished'];
+        const quote = value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const rows = entries.map(entry => [
+            new Date(entry.startedAt).toISOString(),
+            (getProfile(entry.profileId) || { name: entry.profileId }).name,
+            entry.date,
+            entry.slot,
+            entry.source,
+            String(entry.listenedSeconds),
+            entry.finished ? 'ja' : 'nej'
+        ].map(quote).join(','));
+        return [columns.join(',')].concat(rows).join('\n');
+    }
+
+    async function exportHistory(format) {
+        let entries;
+        try {
+            entries = await getHistoryEntries();
+        } catch (error) {
+            showStatus('Kunde inte läsa historiken', true);
+            return;
+        }
+
+        const name = `ekot-historik-${getStockholmDate()}.${format}`;
+        if (format === 'csv') {
+            downloadFile(name, 'text/csv', toCsv(entries));
+        } else {
+            downloadFile(name, 'application/json', JSON.stringify(entries, null, 2));
+        }
+    }
+
+    async function clearHistory() {
+        if (!historySupported) return;
+        try {
+            await historyRequest('readwrite', store => store.clear());
+        } catch (error) {
+            console.log('Could not clear history:', error);
+        }
+        renderHistory();
+    }
+
+    function openHistory() {
+        renderHistory();
+        openSheet(elements.historySheet);
+    }
+
+    // --- Tab coordination ---
+
+    const TAB_ID = Math.random().toString(36).slice(2);
+
+    function postTabMessage(message) {
+        if (!state.tabChannel) return;
+        state.tabChannel.postMessage(Object.assign({ tabId: TAB_ID }, message));
+    }
+
+    /**
+     * Send freshly fetched broadcasts to the other tabs, which don't poll
+     */
+    function shareBroadcasts(profileId) {
+        const profileState = getProfileState(profileId);
+        postTabMessage({
+            type: 'broadcasts',
+            profileId,
+            date: getStockholmDate(),
+            broadcasts: profileState.broadcasts,
+            archive: profileState.archive,
+            updatedAt: profileState.updatedAt,
+            stale: profileState.stale
+        });
+    }
+
+    function receiveBroadcasts(message) {
+        checkDayChange();
+        if (message.date !== getStockholmDate() || !PROFILES[message.profileId]) return;
+
+        const profileState = getProfileState(message.profileId);
+        mergeArchive(message.profileId, message.archive, message.date);
+        profileState.updatedAt = message.updatedAt;
+        profileState.stale = message.stale;
+        updateOfflineIndicator();
+        applyBroadcasts(message.profileId, message.broadcasts, { notify: false });
+    }
+
+    /**
+     * Tell the other tabs what this tab has loaded, so they can show and control it
+     */
+    function announcePlayback() {
+        postTabMessage({
+            type: 'playback',
+            playback: state.currentSlot ? {
+                title: getNowPlayingTitle(),
+                playing: !elements.audioPlayer.paused,
+                isLive: state.isLive,
+                profileId: state.currentProfile
+            } : null
+        });
+    }
+
+    function receivePlayback(message) {
+        const previous = state.remotePlayback;
+        if (message.playback) {
+            state.remotePlayback = Object.assign({ tabId: message.tabId }, message.playback);
+        } else if (previous && previous.tabId === message.tabId) {
+            state.remotePlayback = null;
+        } else {
+            return;
+        }
+
+        // Live in another tab needs the fast poll here, to switch it to the podcast
+        const remote = state.remotePlayback;
+        const wasLive = previous && previous.isLive ? previous.profileId : null;
+        const isLive = remote && remote.isLive ? remote.profileId : null;
+        if (state.isPollLeader && wasLive !== isLive) {
+            [wasLive, isLive].filter(profileId => state.pinnedProfiles.includes(profileId)).forEach(schedulePoll);
+        }
+        updateRemotePlayback();
+    }
+
+    /**
+     * With nothing loaded here, the player shows and controls another tab's audio
+     */
+    function updateRemotePlayback() {
+        if (state.currentSlot) return;
+        const remote = state.remotePlayback;
+        elements.playerContainer.classList.toggle('remote', !!remote);
+        elements.nowPlaying.textContent = remote ? `${remote.title} · annan flik` : 'Ingen uppspelning';
+        elements.playPauseIcon.textContent = remote && remote.playing ? '⏸' : '▶';
+    }
+
+    function sendTabCommand(command, seconds = 0) {
+        postTabMessage({ type: 'command', target: state.remotePlayback.tabId, command, seconds });
+    }
+
+    function receiveCommand(message) {
+        if (message.target !== TAB_ID || !state.currentSlot) return;
+        if (message.command === 'toggle') togglePlayPause();
+        if (message.command === 'skip') skipTime(message.seconds);
+    }
+
+    /**
+     * Programmes pinned or unpinned in another tab. That tab fetches a new
+     * one and shares it; this tab shows it too, and polls it from now on
+     * if it's the polling tab.
+     */
+    function receivePinnedProfiles() {
+        const previous = state.pinnedProfiles;
+        loadPinnedProfiles();
+        previous.filter(id => !state.pinnedProfiles.includes(id)).forEach(stopPolling);
+        state.pinnedProfiles.filter(id => !previous.includes(id)).forEach(profileId => {
+            loadProfileArtwork(profileId);
+            schedulePoll(profileId);
+        });
+
+        renderProfiles();
+        renderTiles();
+        updateOfflineIndicator();
+    }
+
+    /**
+     * Another tab started playing: only one tab plays at a time
+     */
+    function pauseForOtherTab() {
+        if (elements.audioPlayer.paused) return;
+        elements.audioPlayer.pause();
+        if (state.isLive) state.userPausedLive = true;
+        showStatus('Pausad — uppspelningen fortsätter i en annan flik', false, 4000);
+    }
+
+    function setupTabSync() {
+        window.addEventListener('storage', event => {
+            if (event.key === CONFIG.PROFILES_KEY) receivePinnedProfiles();
+        });
+
+        // Without BroadcastChannel every tab keeps polling on its own
+        if (!('BroadcastChannel' in window)) return;
+
+        state.tabChannel = new BroadcastChannel(CONFIG.TAB_CHANNEL);
+        state.tabChannel.addEventListener('message', event => {
+            const message = event.data;
+            if (!message || message.tabId === TAB_ID) return;
+            switch (message.type) {
+                case 'hello':
+                    announcePlayback();
+                    break;
+                case 'broadcasts':
+                    receiveBroadcasts(message);
+                    break;
+                case 'playback':
+                    receivePlayback(message);
+                    break;
+                case 'play':
+                    pauseForOtherTab();
+                    break;
+                case 'alarm':
+                    markAlarmFired(message.date);
+                    break;
+                case 'command':
+                    receiveCommand(message);
+                    break;
+            }
+        });
+
+        // One tab polls the API; the lock passes on when that tab closes
+        if (navigator.locks) {
+            state.isPollLeader = false;
+            navigator.locks.request(CONFIG.POLL_LEADER_LOCK, () => {
+                state.isPollLeader = true;
+                state.pinnedProfiles.forEach(schedulePoll);
+                // Held for the lifetime of the tab
+                return new Promise(() => {});
+            });
+        }
+
+        window.addEventListener('pagehide', () => postTabMessage({ type: 'playback', playback: null }));
+        postTabMessage({ type: 'hello' });
+    }
+
+    // --- App updates ---
+
+    function isPlaybackActive() {
+        return !!elements.audioPlayer.src && !elements.audioPlayer.paused;
+    }
+
+    /**
+     * Tell a waiting service worker whether this window is playing. The
+     * worker only takes over once every open window has reported idle.
+     */
+    function postPlaybackState(playing) {
+        const registration = state.swRegistration;
+        const waiting = registration && registration.waiting;
+
+        if (waiting && navigator.serviceWorker.controller) {
+            waiting.postMessage({ type: 'playback-state', playing });
+            if (playing) elements.updateBanner.classList.add('visible');
+        }
+    }
+
+    /**
+     * Report playback at once, but idleness only after it has lasted
+     * UPDATE_IDLE_GRACE: a pause or a switch to another broadcast is
+     * usually not the end of listening
+     */
+    function reportPlaybackState() {
+        clearTimeout(state.updateIdleTimer);
+        state.updateIdleTimer = null;
+
+        if (isPlaybackActive()) {
+            postPlaybackState(true);
+            return;
+        }
+
+        state.updateIdleTimer = setTimeout(() => {
+            state.updateIdleTimer = null;
+            postPlaybackState(false);
+            // Already switched to the new worker — reload now we're idle
+            if (state.updateReady) reloadForUpdate();
+        }, CONFIG.UPDATE_IDLE_GRACE);
+    }
+
+    /**
+     * Remember what was loaded so it survives the reload
+     */
+    function saveRestoreState() {
+        if (!state.currentSlot) return;
+        sessionStorage.setItem(CONFIG.RESTORE_KEY, JSON.stringify({
+            profileId: state.currentProfile,
+            slot: state.currentSlot,
+            date: state.currentDate,
+            live: state.isLive,
+            position: elements.audioPlayer.currentTime || 0,
+            playing: isPlaybackActive()
+        }));
+    }
+
+    function restoreAfterUpdate() {
+        let saved;
+        try {
+            saved = JSON.parse(sessionStorage.getItem(CONFIG.RESTORE_KEY));
+        } catch (e) {
+            saved = null;
+        }
+        sessionStorage.removeItem(CONFIG.RESTORE_KEY);
+        if (!saved || !PROFILES[saved.profileId]) return;
+
+        if (saved.live) {
+            if (saved.playing && isSlotLiveNow(saved.profileId, saved.slot)) {
+                playLiveStream(saved.profileId, saved.slot);
+            }
+            return;
+        }
+
+        if (getBroadcast(saved.profileId, saved.slot, saved.date)) {
+            playBroadcast(saved.profileId, saved.slot, saved.date, {
+                autoplay: saved.playing,
+                startAt: saved.position
+            });
+        }
+    }
+
+    function reloadForUpdate() {
+        saveRestoreState();
+        window.location.reload();
+    }
+
+    function setupServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        const hadController = !!navigator.serviceWorker.controller;
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!hadController) return;
+            state.updateReady = true;
+            // Hold the reload while audio plays or has only just stopped;
+            // the banner lets the user choose
+            if (state.reloadRequested || (!isPlaybackActive() && !state.updateIdleTimer)) {
+                reloadForUpdate();
+            } else {
+                elements.updateBanner.classList.add('visible');
+            }
+        });
+
+        // Update now, even mid-broadcast
+        elements.updateBanner.addEventListener('click', () => {
+            const waiting = state.swRegistration && state.swRegistration.waiting;
+            state.reloadRequested = true;
+            if (waiting) {
+                waiting.postMessage({ type: 'skip-waiting' });
+            } else {
+                reloadForUpdate();
+            }
+        });
+
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            console.log('Service worker registered');
+            state.swRegistration = registration;
+            reportPlaybackState();
+
+            // A new worker (or one restarted by the browser) asks every
+            // window; within the idle grace we still count as playing
+            navigator.serviceWorker.addEventListener('message', event => {
+                if ((event.data || {}).type !== 'playback-query' || !event.source) return;
+                event.source.postMessage({
+                    type: 'playback-state',
+                    playing: isPlaybackActive() || !!state.updateIdleTimer
+                });
+            });
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed') reportPlaybackState();
+                });
+            });
+
+            setInterval(() => registration.update(), CONFIG.UPDATE_CHECK_INTERVAL);
+
+            // Check for updates when the app comes back to the foreground
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible') registration.update();
+            });
+        }).catch(error => {
+            console.log('Service worker registration failed:', error);
+        });
+    }
+
     // --- Midnight reset ---
 
     function setupMidnightCheck() {
         setInterval(() => {
             if (checkDayChange()) {
-                updateBroadcasts();
+                state.pinnedProfiles.forEach(profileId => updateBroadcasts(profileId));
+                purgeExpiredDownloads();
             }
             // Re-render tiles to update live status indicators
             renderTiles();
+            updateSleepButton();
         }, 60000);
     }
 
@@ -879,6 +4914,7 @@
 
     async function init() {
         // Cache DOM elements
+        elements.appTitle = document.getElementById('appTitle');
         elements.tilesContainer = document.getElementById('tilesContainer');
         elements.audioPlayer = document.getElementById('audioPlayer');
         elements.silencePlayer = document.getElementById('silencePlayer');
@@ -886,24 +4922,114 @@
         elements.playPauseIcon = document.getElementById('playPauseIcon');
         elements.skipBack = document.getElementById('skipBack');
         elements.skipForward = document.getElementById('skipForward');
+        elements.speedButton = document.getElementById('speedButton');
+        elements.speedMenu = document.getElementById('speedMenu');
+        elements.volumeButton = document.getElementById('volumeButton');
+        elements.volumeMenu = document.getElementById('volumeMenu');
+        elements.volumeRow = document.getElementById('volumeRow');
+        elements.volumeSlider = document.getElementById('volumeSlider');
+        elements.normaliseToggle = document.getElementById('normaliseToggle');
+        elements.sleepButton = document.getElementById('sleepButton');
+        elements.sleepMenu = document.getElementById('sleepMenu');
         elements.currentTime = document.getElementById('currentTime');
         elements.duration = document.getElementById('duration');
         elements.progressBar = document.getElementById('progressBar');
         elements.progressFill = document.getElementById('progressFill');
+        elements.chapterMarkers = document.getElementById('chapterMarkers');
+        elements.chaptersButton = document.getElementById('chaptersButton');
+        elements.chaptersSheet = document.getElementById('chaptersSheet');
+        elements.chapterList = document.getElementById('chapterList');
         elements.nowPlaying = document.getElementById('nowPlaying');
+        elements.queuePosition = document.getElementById('queuePosition');
+        elements.catchUpButton = document.getElementById('catchUpButton');
+        elements.catchUpMenu = document.getElementById('catchUpMenu');
+        elements.fromStartButton = document.getElementById('fromStartButton');
+        elements.shareButton = document.getElementById('shareButton');
+        elements.streamInfo = document.getElementById('streamInfo');
         elements.statusMessage = document.getElementById('statusMessage');
         elements.dateDisplay = document.getElementById('dateDisplay');
+        elements.offlineIndicator = document.getElementById('offlineIndicator');
         elements.playerContainer = document.getElementById('playerContainer');
+        elements.archiveButton = document.getElementById('archiveButton');
+        elements.archiveSheet = document.getElementById('archiveSheet');
+        elements.archiveList = document.getElementById('archiveList');
+        elements.archiveMore = document.getElementById('archiveMore');
+        elements.menuButton = document.getElementById('menuButton');
+        elements.storageSheet = document.getElementById('storageSheet');
+        elements.storageUsage = document.getElementById('storageUsage');
+        elements.storageFill = document.getElementById('storageFill');
+        elements.storageList = document.getElementById('storageList');
+        elements.storageRetention = document.getElementById('storageRetention');
+        elements.storageClear = document.getElementById('storageClear');
+        elements.profilesSheet = document.getElementById('profilesSheet');
+        elements.profilesList = document.getElementById('profilesList');
+        elements.notificationsSheet = document.getElementById('notificationsSheet');
+        elements.settingsSheet = document.getElementById('settingsSheet');
+        elements.broadcastSheet = document.getElementById('broadcastSheet');
+        elements.broadcastImage = document.getElementById('broadcastImage');
+        elements.broadcastTitle = document.getElementById('broadcastTitle');
+        elements.broadcastMeta = document.getElementById('broadcastMeta');
+        elements.broadcastDescription = document.getElementById('broadcastDescription');
+        elements.broadcastPlay = document.getElementById('broadcastPlay');
+        elements.historySheet = document.getElementById('historySheet');
+        elements.historySummary = document.getElementById('historySummary');
+        elements.historyList = document.getElementById('historyList');
+        elements.historyExportJson = document.getElementById('historyExportJson');
+        elements.historyExportCsv = document.getElementById('historyExportCsv');
+        elements.historyClear = document.getElementById('historyClear');
+        elements.alarmIndicator = document.getElementById('alarmIndicator');
+        elements.alarmSheet = document.getElementById('alarmSheet');
+        elements.alarmEnabled = document.getElementById('alarmEnabled');
+        elements.alarmTime = document.getElementById('alarmTime');
+        elements.alarmDays = document.getElementById('alarmDays');
+        elements.alarmStatus = document.getElementById('alarmStatus');
+        elements.settingsForm = document.getElementById('settingsForm');
+        elements.settingsError = document.getElementById('settingsError');
+        elements.settingsReset = document.getElementById('settingsReset');
+        elements.notificationsHint = document.getElementById('notificationsHint');
+        elements.notificationsList = document.getElementById('notificationsList');
+        elements.updateBanner = document.getElementById('updateBanner');
+        elements.liveQualitySheet = document.getElementById('liveQualitySheet');
+        elements.liveQuality = document.getElementById('liveQuality');
+        elements.liveQualityStatus = document.getElementById('liveQualityStatus');
+        elements.diagnosticsSheet = document.getElementById('diagnosticsSheet');
+        elements.diagnosticsReport = document.getElementById('diagnosticsReport');
+        elements.diagnosticsCopy = document.getElementById('diagnosticsCopy');
+        elements.diagnosticsRefresh = document.getElementById('diagnosticsRefresh');
 
         const versionLabel = document.getElementById('versionLabel');
-        if (versionLabel) versionLabel.textContent = 'v' + VERSION;
+        if (versionLabel) {
+            versionLabel.textContent = 'v' + VERSION;
+            // Hidden way into the diagnostics view
+            addLongPress(versionLabel, openDiagnostics);
+        }
 
         state.lastFetchDate = getStockholmDate();
+        loadSettings();
+        updateSkipLabels();
+        loadPinnedProfiles();
+        loadPositions();
+        loadDownloadRetention();
+        loadPlaybackRate();
+        applyPlaybackRate();
+        loadVolume();
+        // Normaliser already on: load everything in CORS mode from the start
+        if (state.normalise) elements.audioPlayer.crossOrigin = 'anonymous';
+        applyVolume();
+        updateVolumeButton();
+        loadNotifySlots();
+        loadLiveQuality();
+        loadAlarm();
 
         setupAudioListeners();
         setupControlListeners();
+        setupSheetListeners();
         setupMediaSession();
         setupMidnightCheck();
+        setupNotifications();
+        setupAlarm();
+        setupTabSync();
+        setupServiceWorker();
 
         // Reconnect live stream after app returns from background
         document.addEventListener('visibilitychange', () => {
@@ -911,14 +5037,52 @@
             if (!state.isLive || !state.currentSlot) return;
             if (state.userPausedLive) return;
             // Stream was playing before background — reconnect fresh
-            playLiveStream(state.currentSlot);
+            playLiveStream(state.currentProfile, state.currentSlot);
+        });
+
+        // Save the open listening session before the tab goes away
+        window.addEventListener('pagehide', () => {
+            if (state.historySession) writeHistorySession();
+        });
+
+        // A broadcast link opened while the app is already running
+        window.addEventListener('hashchange', handleLocationLink);
+
+        // Back online — refresh stale data now instead of waiting for the backoff
+        window.addEventListener('online', () => {
+            state.pinnedProfiles
+                .filter(profileId => getProfileState(profileId).stale)
+                .forEach(async profileId => {
+                    await updateBroadcasts(profileId, true);
+                    schedulePoll(profileId);
+                });
         });
 
         renderTiles();
 
-        await updateBroadcasts(true);
+        await purgeExpiredDownloads();
+        purgeHistory();
+        state.pinnedProfiles.forEach(loadProfileArtwork);
+        await Promise.all(state.pinnedProfiles.map(profileId => updateBroadcasts(profileId, true)));
+
+        state.pinnedProfiles.forEach(schedulePoll);
+        restoreAfterUpdate();
+
+        // Opened from a notification
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('play')) {
+            history.replaceState(null, '', window.location.pathname);
+            await playRequestedBroadcast(params.get('play'), params.get('slot'), params.get('date'));
+        }
+
+        // Launched from a home-screen shortcut
+        if (params.has('action')) {
+            history.replaceState(null, '', window.location.pathname + window.location.hash);
+            runLaunchAction(params.get('action'));
+        }
 
-        schedulePoll();
+        // Opened from a shared broadcast link
+        await handleLocationLink();
     }
 
     if (document.readyState === 'loading') {
@@ -0,0 +1,605 @@
+/**
+ * Ekot PWA HLS player
+ * Plays SR's live HLS stream through Media Source Extensions, so browsers
+ * without native HLS get it too. Refreshes the live playlist, turns AAC
+ * segments (packed ADTS or MPEG-TS) into fragmented MP4 — fMP4 segments
+ * pass straight through — and keeps the playlist window seekable for
+ * timeshift.
+ */
+
+const HlsPlayer = (function() {
+    'use strict';
+
+    // Start this many segments' worth behind the end of the playlist
+    const LIVE_SYNC_SEGMENTS = 3;
+    // Seconds of audio to keep buffered ahead of / behind the playhead
+    const MAX_BUFFER_AHEAD = 60;
+    const MAX_BUFFER_BEHIND = 90;
+    // Consecutive failed requests before giving up on the stream
+    const MAX_FAILURES = 3;
+
+    const TRACK_ID = 1;
+    const SAMPLES_PER_FRAME = 1024;
+    const SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+    const isSupported = typeof MediaSource !== 'undefined' &&
+        MediaSource.isTypeSupported('audio/mp4; codecs="mp4a.40.2"');
+
+    // --- Playlists ---
+
+    function parseAttributes(list) {
+        const attributes = {};
+        const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+        let match;
+        while ((match = pattern.exec(list))) {
+            attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+        }
+        return attributes;
+    }
+
+    /**
+     * Variants of a master playlist as [{ url, bandwidth, codecs }],
+     * or null for a media playlist
+     */
+    function parseMasterPlaylist(text, baseUrl) {
+        if (!text.includes('#EXT-X-STREAM-INF:')) return null;
+
+        const lines = text.split(/\r?\n/).map(line => line.trim());
+        const variants = [];
+        lines.forEach((line, index) => {
+            if (!line.startsWith('#EXT-X-STREAM-INF:')) return;
+            const attributes = parseAttributes(line.slice(18));
+            const uri = lines.slice(index + 1).find(next => next && !next.startsWith('#'));
+            if (!uri) return;
+            variants.push({
+                url: new URL(uri, baseUrl).href,
+                bandwidth: Number(attributes.BANDWIDTH) || 0,
+                codecs: attributes.CODECS || null
+            });
+        });
+        return variants;
+    }
+
+    function parseMediaPlaylist(text, baseUrl) {
+        const playlist = { targetDuration: 6, mediaSequence: 0, segments: [], map: null, ended: false };
+        let duration = 0;
+        let programDateTime = null;
+
+        for (const raw of text.split(/\r?\n/)) {
+            const line = raw.trim();
+            if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+                playlist.targetDuration = Number(line.slice(22)) || playlist.targetDuration;
+            } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+                playlist.mediaSequence = Number(line.slice(22)) || 0;
+            } else if (line.startsWith('#EXTINF:')) {
+                duration = parseFloat(line.slice(8)) || 0;
+            } else if (line.startsWith('#EXT-X-PROGRAM-DATE-TIME:')) {
+                programDateTime = Date.parse(line.slice(25));
+            } else if (line.startsWith('#EXT-X-MAP:')) {
+                playlist.map = new URL(parseAttributes(line.slice(11)).URI, baseUrl).href;
+            } else if (line === '#EXT-X-ENDLIST') {
+                playlist.ended = true;
+            } else if (line && !line.startsWith('#')) {
+                playlist.segments.push({
+                    seq: playlist.mediaSequence + playlist.segments.length,
+                    url: new URL(line, baseUrl).href,
+                    duration,
+                    pdt: Number.isFinite(programDateTime) ? programDateTime : null
+                });
+                duration = 0;
+                programDateTime = null;
+            }
+        }
+
+        return playlist;
+    }
+
+    /**
+     * Highest-bandwidth audio-only variant, or the lowest to save data
+     */
+    function pickVariant(variants, lowBandwidth) {
+        return variants
+            .filter(variant => !variant.codecs ||
+                variant.codecs.split(',').every(codec => codec.trim().startsWith('mp4a')))
+            .sort((a, b) => lowBandwidth ? a.bandwidth - b.bandwidth : b.bandwidth - a.bandwidth)[0] || null;
+    }
+
+    // --- AAC demuxing ---
+
+    function concat(chunks) {
+        const out = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let offset = 0;
+        chunks.forEach(chunk => {
+            out.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return out;
+    }
+
+    function isTransportStream(data) {
+        return data[0] === 0x47 && (data.length < 189 || data[188] === 0x47);
+    }
+
+    // Packed audio segments start with an ID3 tag carrying the timestamp
+    function skipId3(data) {
+        let offset = 0;
+        while (data.length >= offset + 10 &&
+            data[offset] === 0x49 && data[offset + 1] === 0x44 && data[offset + 2] === 0x33) {
+            const size = (data[offset + 6] << 21) | (data[offset + 7] << 14) |
+                (data[offset + 8] << 7) | data[offset + 9];
+            const footer = data[offset + 5] & 0x10 ? 10 : 0;
+            offset += 10 + size + footer;
+        }
+        return data.subarray(offset);
+    }
+
+    /**
+     * Pull the ADTS AAC elementary stream out of MPEG-TS packets
+     */
+    function demuxTransportStream(data) {
+        let pmtPid = -1;
+        let audioPid = -1;
+        const chunks = [];
+
+        for (let offset = 0; offset + 188 <= data.length; offset += 188) {
+            if (data[offset] !== 0x47) continue;
+
+            const payloadStart = data[offset + 1] & 0x40;
+            const pid = ((data[offset + 1] & 0x1f) << 8) | data[offset + 2];
+            const adaptation = (data[offset + 3] >> 4) & 0x03;
+            const end = offset + 188;
+            let start = offset + 4;
+
+            if (adaptation === 2) continue;
+            if (adaptation === 3) start += data[start] + 1;
+            if (start >= end) continue;
+
+            if (pid === 0) {
+                // PAT: PMT of the first program
+                if (payloadStart) start += data[start] + 1;
+                pmtPid = ((data[start + 10] & 0x1f) << 8) | data[start + 11];
+            } else if (pid === pmtPid) {
+                // PMT: first ADTS AAC stream (type 0x0f)
+                if (payloadStart) start += data[start] + 1;
+                const sectionLength = ((data[start + 1] & 0x0f) << 8) | data[start + 2];
+                const programInfoLength = ((data[start + 10] & 0x0f) << 8) | data[start + 11];
+                const sectionEnd = Math.min(end, start + 3 + sectionLength - 4);
+                let pos = start + 12 + programInfoLength;
+                while (pos + 5 <= sectionEnd) {
+                    const streamType = data[pos];
+                    const esPid = ((data[pos + 1] & 0x1f) << 8) | data[pos + 2];
+                    if (streamType === 0x0f && audioPid === -1) audioPid = esPid;
+                    pos += 5 + (((data[pos + 3] & 0x0f) << 8) | data[pos + 4]);
+                }
+            } else if (pid === audioPid) {
+                // Skip the PES header at the start of each packet
+                if (payloadStart) start += 9 + data[start + 8];
+                if (start < end) chunks.push(data.subarray(start, end));
+            }
+        }
+
+        if (audioPid === -1) throw new Error('No AAC stream in segment');
+        return concat(chunks);
+    }
+
+    /**
+     * Split an ADTS stream into raw AAC frames and the stream's config
+     */
+    function parseAdts(data) {
+        const frames = [];
+        let config = null;
+        let offset = 0;
+
+        while (offset + 7 <= data.length) {
+            if (data[offset] !== 0xff || (data[offset + 1] & 0xf6) !== 0xf0) {
+                offset++;
+                continue;
+            }
+
+            const headerLength = data[offset + 1] & 0x01 ? 7 : 9;
+            const frameLength = ((data[offset + 3] & 0x03) << 11) |
+                (data[offset + 4] << 3) | (data[offset + 5] >> 5);
+            if (frameLength <= headerLength || offset + frameLength > data.length) break;
+
+            if (!config) {
+                const objectType = (data[offset + 2] >> 6) + 1;
+                const frequencyIndex = (data[offset + 2] >> 2) & 0x0f;
+                config = {
+                    objectType,
+                    frequencyIndex,
+                    sampleRate: SAMPLE_RATES[frequencyIndex],
+                    channels: ((data[offset + 2] & 0x01) << 2) | (data[offset + 3] >> 6),
+                    codec: `mp4a.40.${objectType}`
+                };
+            }
+
+            frames.push(data.subarray(offset + headerLength, offset + frameLength));
+            offset += frameLength;
+        }
+
+        if (!config || !config.sampleRate) throw new Error('No AAC frames in segment');
+        return { config, frames };
+    }
+
+    // --- Fragmented MP4 ---
+
+    function u8(...values) {
+        return new Uint8Array(values);
+    }
+
+    function u16(...values) {
+        const out = new Uint8Array(values.length * 2);
+        const view = new DataView(out.buffer);
+        values.forEach((value, index) => view.setUint16(index * 2, value));
+        return out;
+    }
+
+    function u32(...values) {
+        const out = new Uint8Array(values.length * 4);
+        const view = new DataView(out.buffer);
+        values.forEach((value, index) => view.setUint32(index * 4, value));
+        return out;
+    }
+
+    function ascii(text) {
+        return Uint8Array.from(text, char => char.charCodeAt(0));
+    }
+
+    function box(type, ...payloads) {
+        const payload = concat(payloads);
+        const out = new Uint8Array(8 + payload.length);
+        new DataView(out.buffer).setUint32(0, out.length);
+        out.set(ascii(type), 4);
+        out.set(payload, 8);
+        return out;
+    }
+
+    const MATRIX = u32(0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000);
+
+    function initSegment(config) {
+        const { objectType, frequencyIndex, sampleRate, channels } = config;
+        const audioSpecificConfig = (objectType << 11) | (frequencyIndex << 7) | (channels << 3);
+
+        const esds = box('esds', u32(0),
+            u8(0x03, 25, 0, TRACK_ID, 0),                    // ES descriptor
+            u8(0x04, 17, 0x40, 0x15, 0, 0, 0), u32(0, 0),    // decoder config: AAC audio
+            u8(0x05, 2), u16(audioSpecificConfig),           // decoder specific info
+            u8(0x06, 1, 0x02));                              // SL config
+        const mp4a = box('mp4a',
+            u8(0, 0, 0, 0, 0, 0), u16(1),                    // reserved, data reference index
+            u32(0, 0), u16(channels, 16, 0, 0),
+            u32(sampleRate * 65536), esds);
+
+        const stbl = box('stbl',
+            box('stsd', u32(0, 1), mp4a),
+            box('stts', u32(0, 0)),
+            box('stsc', u32(0, 0)),
+            box('stsz', u32(0, 0, 0)),
+            box('stco', u32(0, 0)));
+        const minf = box('minf',
+            box('smhd', u32(0, 0)),
+            box('dinf', box('dref', u32(0, 1), box('url ', u32(1)))),
+            stbl);
+        const mdia = box('mdia',
+            box('mdhd', u32(0, 0, 0, sampleRate, 0), u16(0x55c4, 0)),
+            box('hdlr', u32(0, 0), ascii('soun'), u32(0, 0, 0), ascii('SoundHandler\0')),
+            minf);
+        const trak = box('trak',
+            box('tkhd', u32(0x00000003, 0, 0, TRACK_ID, 0, 0, 0, 0), u16(0, 0, 0x0100, 0), MATRIX, u32(0, 0)),
+            mdia);
+
+        return concat([
+            box('ftyp', ascii('isom'), u32(1), ascii('isom'), ascii('iso6'), ascii('mp41')),
+            box('moov',
+                box('mvhd', u32(0, 0, 0, 1000, 0, 0x00010000), u16(0x0100, 0), u32(0, 0),
+                    MATRIX, u32(0, 0, 0, 0, 0, 0), u32(TRACK_ID + 1)),
+                trak,
+                box('mvex', box('trex', u32(0, TRACK_ID, 1, 0, 0, 0))))
+        ]);
+    }
+
+    /**
+     * One moof/mdat fragment starting at time 0; the source buffer runs in
+     * sequence mode and places it with timestampOffset
+     */
+    function mediaSegment(frames, sequence) {
+        const samples = u32(...frames.flatMap(frame => [SAMPLES_PER_FRAME, frame.length]));
+        const moof = box('moof',
+            box('mfhd', u32(0, sequence)),
+            box('traf',
+                box('tfhd', u32(0x00020000, TRACK_ID)),        // default-base-is-moof
+                box('tfdt', u32(0x01000000, 0, 0)),
+                box('trun', u32(0x00000301, frames.length, 0), samples)));
+
+        // trun is the last box: point its data offset past moof and the mdat header
+        new DataView(moof.buffer).setUint32(moof.length - samples.length - 4, moof.length + 8);
+        return concat([moof, box('mdat', ...frames)]);
+    }
+
+    // --- Player ---
+
+    /**
+     * Play an HLS stream in an audio element. Returns { destroy, getStartDate,
+     * getBandwidth }; getStartDate() is the wall-clock time of media time 0,
+     * like Safari's HTMLMediaElement.getStartDate(), and getBandwidth() the
+     * chosen variant's bits per second (0 if unknown). lowBandwidth picks the
+     * lowest variant. onError fires once if the stream fails.
+     */
+    function create(audio, url, { onError, lowBandwidth = false } = {}) {
+        const mediaSource = new MediaSource();
+        const objectUrl = URL.createObjectURL(mediaSource);
+
+        let playlistUrl = url;
+        let codecs = null;
+        let bandwidth = 0;
+        let mapUrl = null;
+        let segments = [];
+        let targetDuration = 6;
+        let ended = false;
+        let nextSeq = null;
+        let sourceBuffer = null;
+        let fragmentSequence = 1;
+        let loading = false;
+        let failures = 0;
+        let started = false;
+        let destroyed = false;
+        let refreshTimer = null;
+        let segmentAbort = null;
+
+        function fail(error) {
+            if (destroyed) return;
+            console.log('HLS playback failed:', error);
+            destroy();
+            if (onError) onError(error);
+        }
+
+        async function fetchBytes(resourceUrl, signal) {
+            const response = await fetch(resourceUrl, { signal });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return new Uint8Array(await response.arrayBuffer());
+        }
+
+        // Run a SourceBuffer operation and wait for it to finish
+        function whenUpdated(action) {
+            return new Promise((resolve, reject) => {
+                const cleanup = () => {
+                    sourceBuffer.removeEventListener('updateend', done);
+                    sourceBuffer.removeEventListener('error', failed);
+                };
+                const done = () => {
+                    cleanup();
+                    resolve();
+                };
+                const failed = () => {
+                    cleanup();
+                    reject(new Error('SourceBuffer error'));
+                };
+                sourceBuffer.addEventListener('updateend', done);
+                sourceBuffer.addEventListener('error', failed);
+                try {
+                    action();
+                } catch (error) {
+                    cleanup();
+                    reject(error);
+                }
+            });
+        }
+
+        function bufferedEnd(time) {
+            const buffered = audio.buffered;
+            for (let i = 0; i < buffered.length; i++) {
+                if (time >= buffered.start(i) - 0.1 && time <= buffered.end(i)) return buffered.end(i);
+            }
+            return time;
+        }
+
+        function segmentAt(time) {
+            return segments.find(segment => time >= segment.start && time < segment.start + segment.duration);
+        }
+
+        function liveEdge() {
+            const last = segments[segments.length - 1];
+            const edge = last.start + last.duration - LIVE_SYNC_SEGMENTS * targetDuration;
+            return Math.max(segments[0].start, edge);
+        }
+
+        /**
+         * Add new playlist entries to our timeline, where each segment
+         * starts where the previous one ended, and drop expired ones
+         */
+        function mergePlaylist(playlist) {
+            targetDuration = playlist.targetDuration;
+            ended = playlist.ended;
+            if (playlist.map) mapUrl = playlist.map;
+
+            let added = false;
+            playlist.segments.forEach(segment => {
+                const previous = segments[segments.length - 1];
+                if (previous && segment.seq <= previous.seq) return;
+                segment.start = previous ? previous.start + previous.duration : 0;
+                if (segment.pdt === null && previous && previous.pdt !== null) {
+                    segment.pdt = previous.pdt + previous.duration * 1000;
+                }
+                segments.push(segment);
+                added = true;
+            });
+
+            if (playlist.segments.length > 0) {
+                const firstSeq = playlist.segments[0].seq;
+                segments = segments.filter(segment => segment.seq >= firstSeq);
+            }
+            if (segments.length === 0) return added;
+
+            if (nextSeq === null) nextSeq = segmentAt(liveEdge()).seq;
+            nextSeq = Math.max(nextSeq, segments[0].seq);
+
+            if (typeof mediaSource.setLiveSeekableRange === 'function' && mediaSource.readyState === 'open') {
+                mediaSource.setLiveSeekableRange(segments[0].start, liveEdge());
+            }
+            return added;
+        }
+
+        function scheduleRefresh(seconds) {
+            refreshTimer = setTimeout(refreshPlaylist, Math.max(1, seconds) * 1000);
+        }
+
+        async function refreshPlaylist() {
+            refreshTimer = null;
+            try {
+                const response = await fetch(playlistUrl, { cache: 'no-store' });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const text = await response.text();
+                if (destroyed) return;
+
+                const variants = parseMasterPlaylist(text, playlistUrl);
+                if (variants) {
+                    const variant = pickVariant(variants, lowBandwidth);
+                    if (!variant) throw new Error('No playable variant');
+                    playlistUrl = variant.url;
+                    codecs = variant.codecs;
+                    bandwidth = variant.bandwidth;
+                    refreshPlaylist();
+                    return;
+                }
+
+                const added = mergePlaylist(parseMediaPlaylist(text, playlistUrl));
+                failures = 0;
+                loadNext();
+                // Unchanged playlist: check again sooner
+                if (!ended) scheduleRefresh(added ? targetDuration : targetDuration / 2);
+            } catch (error) {
+                if (destroyed) return;
+                if (++failures >= MAX_FAILURES) {
+                    fail(error);
+                    return;
+                }
+                scheduleRefresh(targetDuration);
+            }
+        }
+
+        async function openSourceBuffer(codec, init) {
+            sourceBuffer = mediaSource.addSourceBuffer(`audio/mp4; codecs="${codec}"`);
+            // Segments are placed on our own timeline via timestampOffset
+            sourceBuffer.mode = 'sequence';
+            await whenUpdated(() => sourceBuffer.appendBuffer(init));
+        }
+
+        async function appendSegment(segment, data) {
+            let media;
+            if (mapUrl) {
+                if (!sourceBuffer) {
+                    const codec = codecs ? codecs.split(',')[0].trim() : 'mp4a.40.2';
+                    await openSourceBuffer(codec, await fetchBytes(mapUrl));
+                }
+                media = data;
+            } else {
+                const adts = isTransportStream(data) ? demuxTransportStream(data) : skipId3(data);
+                const { config, frames } = parseAdts(adts);
+                if (!sourceBuffer) await openSourceBuffer(config.codec, initSegment(config));
+                media = mediaSegment(frames, fragmentSequence++);
+            }
+            if (destroyed) return;
+
+            const removeEnd = audio.currentTime - MAX_BUFFER_BEHIND;
+            if (sourceBuffer.buffered.length > 0 && sourceBuffer.buffered.start(0) < removeEnd) {
+                await whenUpdated(() => sourceBuffer.remove(0, removeEnd));
+            }
+
+            sourceBuffer.timestampOffset = segment.start;
+            await whenUpdated(() => sourceBuffer.appendBuffer(media));
+
+            if (!started) {
+                started = true;
+                audio.currentTime = Math.max(segment.start, Math.min(liveEdge(), segment.start + segment.duration));
+            }
+        }
+
+        /**
+         * Load segments in order from nextSeq while the buffer ahead is short
+         */
+        async function loadNext() {
+            if (loading || destroyed || mediaSource.readyState !== 'open') return;
+
+            const segment = segments.find(candidate => candidate.seq === nextSeq);
+            if (!segment) {
+                const last = segments[segments.length - 1];
+                if (ended && last && nextSeq > last.seq && sourceBuffer && !sourceBuffer.updating) {
+                    mediaSource.endOfStream();
+                }
+                return;
+            }
+            if (bufferedEnd(audio.currentTime) - audio.currentTime > MAX_BUFFER_AHEAD) return;
+
+            loading = true;
+            segmentAbort = new AbortController();
+            try {
+                const data = await fetchBytes(segment.url, segmentAbort.signal);
+                if (destroyed) return;
+                // A seek may have moved on while this was loading
+                if (segment.seq === nextSeq) {
+                    await appendSegment(segment, data);
+                    nextSeq = segment.seq + 1;
+                }
+                failures = 0;
+            } catch (error) {
+                if (destroyed) return;
+                if (error.name !== 'AbortError') {
+                    console.log('HLS segment failed:', segment.url, error);
+                    if (++failures >= MAX_FAILURES) {
+                        fail(error);
+                        return;
+                    }
+                    // Expired or broken — skip it rather than stall
+                    if (segment.seq === nextSeq) nextSeq = segment.seq + 1;
+                }
+            } finally {
+                loading = false;
+            }
+            loadNext();
+        }
+
+        // Seeking outside the buffer: continue loading from the new position
+        function onSeeking() {
+            const segment = segmentAt(bufferedEnd(audio.currentTime));
+            if (!segment || segment.seq === nextSeq) return;
+            nextSeq = segment.seq;
+            if (segmentAbort) segmentAbort.abort();
+            loadNext();
+        }
+
+        function onTimeUpdate() {
+            loadNext();
+        }
+
+        function getStartDate() {
+            const anchor = segments.find(segment => segment.pdt !== null);
+            return new Date(anchor ? anchor.pdt - anchor.start * 1000 : NaN);
+        }
+
+        function getBandwidth() {
+            return bandwidth;
+        }
+
+        function destroy() {
+            if (destroyed) return;
+            destroyed = true;
+            clearTimeout(refreshTimer);
+            if (segmentAbort) segmentAbort.abort();
+            audio.removeEventListener('seeking', onSeeking);
+            audio.removeEventListener('timeupdate', onTimeUpdate);
+            URL.revokeObjectURL(objectUrl);
+        }
+
+        mediaSource.addEventListener('sourceopen', () => {
+            mediaSource.duration = Infinity;
+            refreshPlaylist();
+        }, { once: true });
+        audio.addEventListener('seeking', onSeeking);
+        audio.addEventListener('timeupdate', onTimeUpdate);
+        audio.src = objectUrl;
+
+        return { destroy, getStartDate, getBandwidth };
+    }
+
+    return { isSupported, create };
+})();
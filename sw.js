@@ -1,16 +1,35 @@
 /**
  * Ekot PWA Service Worker
- * Caches app shell for offline use, network-first for API data
+ * Caches app shell for offline use, network-first for API data,
+ * serves downloaded broadcasts (with Range support) from the audio cache,
+ * checks for new broadcasts in the background and shows notifications
  */
 
 importScripts('./version.js');
 
 const CACHE_NAME = 'ekot-pwa-v' + APP_VERSION;
 
+// Downloaded broadcasts — unversioned so downloads survive app updates.
+// Must match CONFIG.AUDIO_CACHE in app.js
+const AUDIO_CACHE = 'ekot-audio';
+
+// Notification choices written by the page.
+// Must match CONFIG.STATE_CACHE / NOTIFY_* in app.js
+const STATE_CACHE = 'ekot-state';
+const NOTIFY_STATE_URL = './notify-state.json';
+const NOTIFY_SYNC_TAG = 'ekot-new-broadcasts';
+const NOTIFY_HISTORY = 50;
+const API_BASE = 'https://api.sr.se/api/v2';
+const TIMEZONE = 'Europe/Stockholm';
+
+// How long a waiting worker waits for windows to answer a playback query
+const PLAYBACK_QUERY_TIMEOUT = 3000;
+
 const APP_SHELL = [
     './',
     './index.html',
     './version.js',
+    './hls-player.js',
     './app.js',
     './style.css',
     './manifest.webmanifest',
@@ -33,7 +52,8 @@ const APP_SHELL = [
     './assets/icon-tile-384x384.png'
 ];
 
-// Install: cache app shell (bypass HTTP cache to guarantee fresh files)
+// Install: cache app shell (bypass HTTP cache to guarantee fresh files).
+// An update then waits until open windows report they're idle (see 'message')
 self.addEventListener('install', event => {
     event.waitUntil(
         caches.open(CACHE_NAME)
@@ -45,29 +65,144 @@ self.addEventListener('install', event => {
                     )
                 )
             )
-            .then(() => self.skipWaiting())
+            // Windows on older app versions never report their playback
+            // state, so ask them all rather than wait for a report
+            .then(() => activateWhenIdle())
     );
 });
 
-// Activate: clean up old caches, reload clients running old versions
+// Activate: clean up old caches (keeping downloads and notification state).
+// Clients reload themselves on controllerchange once playback has stopped
 self.addEventListener('activate', event => {
     event.waitUntil(
         caches.keys().then(keys =>
             Promise.all(
-                keys.filter(key => key !== CACHE_NAME)
+                keys.filter(key => key !== CACHE_NAME && key !== AUDIO_CACHE && key !== STATE_CACHE)
                     .map(key => caches.delete(key))
             )
         ).then(() => self.clients.claim())
-         .then(() => {
-            // Notify all open clients to reload (catches pre-2.1.3 clients
-            // that lack the controllerchange listener)
-            self.clients.matchAll({ type: 'window' }).then(clients => {
-                clients.forEach(client => client.navigate(client.url));
-            });
-        })
     );
 });
 
+// Playback state each window reported to this worker, by client id. The
+// browser may stop the worker and lose this, so windows are asked again
+const playingClients = new Map();
+
+/**
+ * Take over unless a window is playing. Windows without a report are
+ * asked first; those that still don't answer run an app version that
+ * never reports and count as idle
+ */
+async function activateWhenIdle() {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    const unknown = clients.filter(client => !playingClients.has(client.id));
+
+    if (unknown.length > 0) {
+        unknown.forEach(client => client.postMessage({ type: 'playback-query' }));
+        await new Promise(resolve => setTimeout(resolve, PLAYBACK_QUERY_TIMEOUT));
+    }
+    const busy = clients.some(client => playingClients.get(client.id));
+    if (!busy) await self.skipWaiting();
+}
+
+// Messages to a waiting worker: playback state from each window (sent on
+// its own or in answer to a playback query), or an explicit request to
+// update now (the user tapped the update banner).
+// The active worker takes notification state changes and answers
+// version queries from the diagnostics view
+self.addEventListener('message', event => {
+    const data = event.data || {};
+
+    if (data.type === 'skip-waiting') {
+        self.skipWaiting();
+        return;
+    }
+    if (data.type === 'notify-update') {
+        event.waitUntil(applyNotifyUpdate(data));
+        return;
+    }
+    // Diagnostics view asks which version is in control
+    if (data.type === 'get-version' && event.ports[0]) {
+        event.ports[0].postMessage({ cacheName: CACHE_NAME });
+        return;
+    }
+    if (data.type !== 'playback-state' || !event.source) return;
+
+    playingClients.set(event.source.id, !!data.playing);
+    event.waitUntil(activateWhenIdle());
+});
+
+/**
+ * Build a 206 response for a byte range of a cached response,
+ * so seeking works in downloaded broadcasts
+ */
+async function rangeResponse(response, rangeHeader) {
+    const blob = await response.blob();
+    const size = blob.size;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+
+    let start = -1;
+    let end = size - 1;
+    if (match && match[1] !== '') {
+        start = Number(match[1]);
+        if (match[2] !== '') end = Math.min(Number(match[2]), size - 1);
+    } else if (match && match[2] !== '') {
+        // Suffix range: last N bytes
+        start = Math.max(0, size - Number(match[2]));
+    }
+
+    if (start < 0 || start >= size || start > end) {
+        return new Response(null, {
+            status: 416,
+            statusText: 'Range Not Satisfiable',
+            headers: { 'Content-Range': `bytes */${size}` }
+        });
+    }
+
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || 'audio/mpeg',
+            'Content-Length': String(end - start + 1),
+            'Content-Range': `bytes ${start}-${end}/${size}`,
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
+
+// API responses are cached per URL (one per program and page),
+// ignoring the cache-busting parameter
+function apiCacheKey(url) {
+    const key = new URL(url);
+    key.searchParams.delete('_');
+    return key.toString();
+}
+
+// Copy of an API response marked with when it was fetched. Only cached
+// copies carry the header, so it doubles as the "this is stale" flag.
+// The page fetches the API cross-origin, so the header must be exposed
+async function stampFetchTime(response) {
+    const headers = new Headers(response.headers);
+    headers.set('X-Ekot-Fetched-At', String(Date.now()));
+    headers.set('Access-Control-Expose-Headers', 'X-Ekot-Fetched-At');
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+// Downloaded audio from the audio cache, otherwise network
+async function serveAudio(request) {
+    const cache = await caches.open(AUDIO_CACHE);
+    const cached = await cache.match(request.url);
+    if (!cached) return fetch(request);
+
+    const range = request.headers.get('Range');
+    return range ? rangeResponse(cached, range) : cached;
+}
+
 // Fetch: network-first for API, cache-first for app shell
 self.addEventListener('fetch', event => {
     const url = new URL(event.request.url);
@@ -79,24 +214,26 @@ self.addEventListener('fetch', event => {
                 .then(response => {
                     // Cache a copy of successful API responses
                     if (response.ok) {
-                        const clone = response.clone();
-                        caches.open(CACHE_NAME).then(cache => {
-                            cache.put('sr-api-latest', clone);
-                        });
+                        const key = apiCacheKey(event.request.url);
+                        stampFetchTime(response.clone()).then(stamped =>
+                            caches.open(CACHE_NAME).then(cache => cache.put(key, stamped))
+                        );
                     }
                     return response;
                 })
                 .catch(() => {
-                    // Offline: return cached API response
-                    return caches.match('sr-api-latest');
+                    // Offline: return cached API response, which carries
+                    // X-Ekot-Fetched-At so the app can tell it's stale
+                    return caches.match(apiCacheKey(event.request.url));
                 })
         );
         return;
     }
 
-    // SR audio files: network only (too large to cache by default)
+    // SR audio files: downloaded copy if present, otherwise network
+    // (only explicitly downloaded broadcasts are cached)
     if (url.hostname === 'static-cdn.sr.se') {
-        event.respondWith(fetch(event.request));
+        event.respondWith(serveAudio(event.request));
         return;
     }
 
@@ -106,9 +243,10 @@ self.addEventListener('fetch', event => {
         return;
     }
 
-    // App shell: cache-first, network fallback
+    // App shell: cache-first, network fallback. Launch URLs
+    // (?action=, ?play=) are the same page as the cached shell
     event.respondWith(
-        caches.match(event.request)
+        caches.match(event.request, { ignoreSearch: event.request.mode === 'navigate' })
             .then(cached => {
                 if (cached) return cached;
                 return fetch(event.request).then(response => {
@@ -124,3 +262,134 @@ self.addEventListener('fetch', event => {
             })
     );
 });
+
+// --- New-broadcast notifications ---
+
+async function readNotifyState() {
+    const cache = await caches.open(STATE_CACHE);
+    const response = await cache.match(NOTIFY_STATE_URL);
+    return response ? response.json() : { profiles: [], notified: [] };
+}
+
+async function writeNotifyState(notifyState) {
+    const cache = await caches.open(STATE_CACHE);
+    await cache.put(NOTIFY_STATE_URL, new Response(JSON.stringify(notifyState), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}
+
+// Only the worker writes the notification state, one change at a time,
+// so page updates and background checks can't overwrite each other
+let notifyStateQueue = Promise.resolve();
+
+function updateNotifyState(change) {
+    notifyStateQueue = notifyStateQueue.then(async () => {
+        const notifyState = await readNotifyState();
+        await change(notifyState);
+        notifyState.notified = notifyState.notified.slice(-NOTIFY_HISTORY);
+        await writeNotifyState(notifyState);
+    }).catch(error => {
+        console.log('Could not update notification state:', error);
+    });
+    return notifyStateQueue;
+}
+
+// From the page: the watched profiles and/or broadcast ids to count as notified
+function applyNotifyUpdate(data) {
+    return updateNotifyState(notifyState => {
+        if (data.profiles) notifyState.profiles = data.profiles;
+        (data.notified || []).forEach(key => {
+            if (!notifyState.notified.includes(key)) notifyState.notified.push(key);
+        });
+    });
+}
+
+function stockholmDate(date) {
+    return date.toLocaleDateString('sv-SE', { timeZone: TIMEZONE });
+}
+
+function parseSrDate(srDateStr) {
+    const match = (srDateStr || '').match(/\/Date\((\d+)\)\//);
+    return match ? new Date(parseInt(match[1], 10)) : new Date(srDateStr);
+}
+
+// Same slot rules as parseApiResponse in app.js: the time in the title,
+// else the profile's default slot, else the publish time
+function slotFromPodfile(title, published, defaultSlot) {
+    const match = title.match(/(?:\bkl(?:ockan)?\.?\s*([01]?\d|2[0-3])|(?:^|[^\d.:,])([01]\d|2[0-3]))[:.]([0-5]\d)(?![\d.:,])/i);
+    if (match) return `${String(match[1] || match[2]).padStart(2, '0')}:${match[3]}`;
+    if (defaultSlot) return defaultSlot;
+    return published.toLocaleTimeString('sv-SE', { timeZone: TIMEZONE, hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Fetch each watched program's newest podfiles and notify about
+ * today's broadcasts in chosen slots that haven't been announced yet.
+ * Broadcasts already out when a slot was chosen are in notified.
+ */
+function checkNewBroadcasts() {
+    if (Notification.permission !== 'granted') return Promise.resolve();
+    return updateNotifyState(notifyNewPodfiles);
+}
+
+async function notifyNewPodfiles(notifyState) {
+    const today = stockholmDate(new Date());
+
+    for (const profile of notifyState.profiles) {
+        let data;
+        try {
+            const response = await fetch(
+                `${API_BASE}/podfiles?programid=${profile.programId}&format=json&size=10`
+            );
+            if (!response.ok) continue;
+            data = await response.json();
+        } catch (error) {
+            continue;
+        }
+
+        const pattern = profile.titlePattern ? new RegExp(profile.titlePattern, 'i') : null;
+        for (const podfile of data.podfiles || []) {
+            const title = podfile.title || '';
+            const key = podfile.id ? String(podfile.id) : podfile.url;
+            const published = parseSrDate(podfile.publishdateutc);
+            const slot = slotFromPodfile(title, published, profile.defaultSlot);
+
+            if (pattern && !pattern.test(title)) continue;
+            if (!profile.slots.includes(slot)) continue;
+            if (stockholmDate(published) !== today) continue;
+            if (notifyState.notified.includes(key)) continue;
+
+            await self.registration.showNotification(title, {
+                body: `${profile.name} — ny sändning. Tryck för att lyssna.`,
+                tag: `broadcast-${key}`,
+                icon: './assets/icon-192x192.png',
+                data: { profileId: profile.id, slot, date: today }
+            });
+            notifyState.notified.push(key);
+        }
+    }
+}
+
+self.addEventListener('periodicsync', event => {
+    if (event.tag === NOTIFY_SYNC_TAG) {
+        event.waitUntil(checkNewBroadcasts());
+    }
+});
+
+// Tap: hand the broadcast to an open window, or open the app to play it
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const { profileId, slot, date } = event.notification.data || {};
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+            const client = clients[0];
+            if (client) {
+                client.postMessage({ type: 'play', profileId, slot, date });
+                return client.focus();
+            }
+            const params = new URLSearchParams({ play: profileId, slot, date });
+            return self.clients.openWindow(`./?${params}`);
+        })
+    );
+});
@@ -1,3 +1,3 @@
 // Single source of truth for app version.
 // Bump this value to trigger service worker update and full cache refresh.
-const APP_VERSION = '2.3.3';
+const APP_VERSION = '2.28.17';